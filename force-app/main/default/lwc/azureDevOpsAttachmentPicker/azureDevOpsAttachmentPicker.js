@@ -0,0 +1,73 @@
+import { LightningElement, api } from 'lwc';
+import { showErrorToast } from 'c/toastUtils';
+import getRecordFiles from '@salesforce/apex/AzureDevOpsController.getRecordFiles';
+
+const formatSize = bytes => {
+    if (bytes < 1000) return `${bytes} B`;
+    if (bytes < 1000000) return `${Math.round(bytes / 1000)} KB`;
+    return `${(bytes / 1000000).toFixed(1)} MB`;
+};
+
+export default class AzureDevOpsAttachmentPicker extends LightningElement {
+    // Files related to this record are offered; new uploads are related to it as well
+    @api recordId;
+    @api disabled = false;
+
+    files = [];
+    selected = [];
+    isLoading = false;
+
+    @api
+    get selectedIds() {
+        return [...this.selected];
+    }
+    @api
+    clearSelection() {
+        this.selected = [];
+    }
+
+    connectedCallback() {
+        this.loadFiles();
+    }
+
+    async loadFiles() {
+        if (!this.recordId) return;
+        this.isLoading = true;
+        try {
+            this.files = (await getRecordFiles({ recordId: this.recordId })) || [];
+        } catch (e) {
+            showErrorToast(this, 'Error loading files', e?.body?.message || String(e));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    get options() {
+        return this.files.map(f => ({
+            label: `${f.title}${f.fileExtension ? '.' + f.fileExtension : ''}${f.size ? ` (${formatSize(f.size)})` : ''}`,
+            value: f.contentDocumentId
+        }));
+    }
+    get hasFiles() {
+        return this.files.length > 0;
+    }
+
+    handleSelectionChange(e) {
+        this.selected = e.detail.value;
+        this.notify();
+    }
+    // Uploaded files are added to the list and selected right away
+    handleUploadFinished(e) {
+        const uploaded = e.detail.files || [];
+        const known = new Set(this.files.map(f => f.contentDocumentId));
+        const added = uploaded
+            .filter(f => !known.has(f.documentId))
+            .map(f => ({ contentDocumentId: f.documentId, title: f.name, fileExtension: '', size: null }));
+        this.files = [...added, ...this.files];
+        this.selected = [...new Set([...this.selected, ...uploaded.map(f => f.documentId)])];
+        this.notify();
+    }
+    notify() {
+        this.dispatchEvent(new CustomEvent('selectionchange', { detail: { contentDocumentIds: this.selectedIds } }));
+    }
+}
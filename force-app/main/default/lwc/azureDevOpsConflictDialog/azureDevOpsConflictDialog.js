@@ -0,0 +1,71 @@
+import LightningModal from 'lightning/modal';
+import { api } from 'lwc';
+
+const CHOICE_OPTIONS = [
+    { label: 'Theirs', value: 'theirs' },
+    { label: 'Mine', value: 'mine' }
+];
+
+// Shows each field changed since the editor opened as original / theirs (now in Azure DevOps) / mine (edited).
+// Only fields both sides changed differently offer a choice; the rest keep the side that changed them.
+export default class AzureDevOpsConflictDialog extends LightningModal {
+    @api workItemId;
+    // [{ field, label, original, theirs, mine }]
+    @api changes = [];
+    choices = {};
+
+    connectedCallback() {
+        const choices = {};
+        (this.changes || []).forEach(c => {
+            choices[c.field] = c.mine !== c.original ? 'mine' : 'theirs';
+        });
+        this.choices = choices;
+    }
+
+    get modalTitle() {
+        return `Work Item #${this.workItemId} Was Changed`;
+    }
+    get rows() {
+        return (this.changes || []).map(c => {
+            const changedByMe = c.mine !== c.original;
+            const changedByThem = c.theirs !== c.original;
+            const isConflict = changedByMe && changedByThem && c.mine !== c.theirs;
+            let status = 'Changed by you';
+            if (isConflict) status = 'Both changed';
+            else if (changedByThem && !changedByMe) status = 'Changed in Azure DevOps';
+            return {
+                ...c,
+                isConflict,
+                status,
+                choice: this.choices[c.field],
+                choiceLabel: CHOICE_OPTIONS.find(o => o.value === this.choices[c.field])?.label,
+                rowClass: isConflict ? 'conflict-row' : ''
+            };
+        });
+    }
+    get conflictCount() {
+        return this.rows.filter(r => r.isConflict).length;
+    }
+    get summary() {
+        const count = this.conflictCount;
+        return count
+            ? `${count} field${count === 1 ? ' was' : 's were'} changed both by you and in Azure DevOps. Choose which value to keep.`
+            : 'Your changes do not overlap with the changes made in Azure DevOps.';
+    }
+    get choiceOptions() {
+        return CHOICE_OPTIONS;
+    }
+
+    handleChoiceChange(e) {
+        this.choices = { ...this.choices, [e.target.dataset.field]: e.detail.value };
+    }
+    handleCancel() {
+        this.close({ action: 'cancel' });
+    }
+    handleOverwrite() {
+        this.close({ action: 'overwrite' });
+    }
+    handleMerge() {
+        this.close({ action: 'merge', choices: { ...this.choices } });
+    }
+}
@@ -0,0 +1,98 @@
+import { LightningElement, api } from 'lwc';
+import { showErrorToast } from 'c/toastUtils';
+import searchIdentities from '@salesforce/apex/AzureDevOpsController.searchIdentities';
+import getMyIdentity from '@salesforce/apex/AzureDevOpsController.getMyIdentity';
+
+const SEARCH_DELAY = 300;
+
+export default class AzureDevOpsIdentityPicker extends LightningElement {
+    @api configName;
+    @api label = 'Assigned To';
+    @api disabled = false;
+    // Unique name (usually the email) sent as System.AssignedTo, and the name shown for it
+    @api
+    get value() {
+        return this._value;
+    }
+    set value(v) {
+        this._value = v;
+    }
+    @api
+    get displayName() {
+        return this._displayName;
+    }
+    set displayName(v) {
+        this._displayName = v;
+    }
+
+    _value;
+    _displayName;
+    searchText = '';
+    results = [];
+    isSearching = false;
+
+    disconnectedCallback() {
+        clearTimeout(this._searchT);
+    }
+
+    get hasValue() {
+        return !!this._value;
+    }
+    get pillLabel() {
+        return this._displayName && this._displayName !== this._value ? `${this._displayName} (${this._value})` : this._value;
+    }
+    get hasResults() {
+        return this.results.length > 0;
+    }
+    get isAssignToMeDisabled() {
+        return this.disabled || !this.configName;
+    }
+
+    handleSearchChange(e) {
+        this.searchText = e.detail?.value ?? e.target.value;
+        clearTimeout(this._searchT);
+        if (!this.searchText?.trim()) {
+            this.results = [];
+            return;
+        }
+        this._searchT = setTimeout(() => this.search(), SEARCH_DELAY);
+    }
+    async search() {
+        if (!this.configName) return;
+        const searchText = this.searchText?.trim();
+        this.isSearching = true;
+        try {
+            const people = (await searchIdentities({ configName: this.configName, searchText })) || [];
+            // Ignore responses for a search the user has already typed past
+            if (searchText !== this.searchText?.trim()) return;
+            this.results = people.map(p => ({ ...p, key: p.uniqueName }));
+        } catch (err) {
+            showErrorToast(this, 'Search Failed', err?.body?.message || String(err));
+        } finally {
+            this.isSearching = false;
+        }
+    }
+
+    handleSelect(e) {
+        const person = this.results.find(p => p.uniqueName === e.currentTarget.dataset.id);
+        if (person) this.select(person.uniqueName, person.displayName);
+    }
+    async handleAssignToMe() {
+        try {
+            const me = await getMyIdentity({ configName: this.configName });
+            if (me) this.select(me.uniqueName, me.displayName);
+        } catch (err) {
+            showErrorToast(this, 'Assign to Me Failed', err?.body?.message || String(err));
+        }
+    }
+    handleRemove() {
+        this.select(null, null);
+    }
+    select(uniqueName, displayName) {
+        this._value = uniqueName;
+        this._displayName = displayName;
+        this.results = [];
+        this.searchText = '';
+        this.dispatchEvent(new CustomEvent('change', { detail: { uniqueName, displayName } }));
+    }
+}
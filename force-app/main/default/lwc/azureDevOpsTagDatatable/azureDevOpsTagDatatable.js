@@ -0,0 +1,19 @@
+import LightningDatatable from 'lightning/datatable';
+import tagsTemplate from './tags.html';
+import stateTemplate from './state.html';
+
+// lightning-datatable with a "tags" column type that shows a list of tag names as badges, and a "state" type
+// that shows the state as a badge colored by its category (typeAttributes.badgeClass)
+export default class AzureDevOpsTagDatatable extends LightningDatatable {
+    static customTypes = {
+        tags: {
+            template: tagsTemplate,
+            standardCellLayout: true
+        },
+        state: {
+            template: stateTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['badgeClass']
+        }
+    };
+}
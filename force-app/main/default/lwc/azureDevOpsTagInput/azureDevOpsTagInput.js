@@ -0,0 +1,95 @@
+import { LightningElement, api } from 'lwc';
+import { showErrorToast } from 'c/toastUtils';
+import getProjectTags from '@salesforce/apex/AzureDevOpsController.getProjectTags';
+
+const MAX_SUGGESTIONS = 10;
+
+export default class AzureDevOpsTagInput extends LightningElement {
+    @api label = 'Tags';
+    @api disabled = false;
+    // Suggestions come from this connection's project; they are reloaded when it changes
+    @api
+    get configName() {
+        return this._configName;
+    }
+    set configName(v) {
+        if (v !== this._configName) {
+            this._configName = v;
+            this.projectTags = [];
+            if (v) this.loadProjectTags();
+        }
+    }
+    // Tag names; Azure DevOps stores them as one "; " separated System.Tags value
+    @api
+    get value() {
+        return this._value;
+    }
+    set value(v) {
+        this._value = Array.isArray(v) ? [...v] : [];
+    }
+
+    _configName;
+    _value = [];
+    projectTags = [];
+    searchText = '';
+
+    async loadProjectTags() {
+        const configName = this._configName;
+        try {
+            const tags = (await getProjectTags({ configName })) || [];
+            if (configName === this._configName) this.projectTags = tags;
+        } catch (err) {
+            showErrorToast(this, 'Error loading tags', err?.body?.message || String(err));
+        }
+    }
+
+    get pills() {
+        return this._value.map(tag => ({ key: tag, label: tag }));
+    }
+    get hasPills() {
+        return this._value.length > 0;
+    }
+    get suggestions() {
+        const term = this.searchText.trim().toLowerCase();
+        if (!term) return [];
+        const taken = new Set(this._value.map(t => t.toLowerCase()));
+        return this.projectTags
+            .filter(tag => tag.toLowerCase().includes(term) && !taken.has(tag.toLowerCase()))
+            .slice(0, MAX_SUGGESTIONS)
+            .map(tag => ({ key: tag, label: tag }));
+    }
+    get hasSuggestions() {
+        return this.suggestions.length > 0;
+    }
+
+    handleSearchChange(e) {
+        this.searchText = e.detail?.value ?? e.target.value ?? '';
+    }
+    // Enter adds what was typed, so new tags can be created as well as picked
+    handleKeyUp(e) {
+        if (e.key === 'Enter') {
+            this.addTag(this.searchText);
+        }
+    }
+    handleSuggestionSelect(e) {
+        this.addTag(e.currentTarget.dataset.tag);
+    }
+    handleRemove(e) {
+        if (this.disabled) return;
+        const tag = e.target.name;
+        this.commit(this._value.filter(t => t !== tag));
+    }
+    addTag(text) {
+        // Semicolons separate tags in System.Tags, so they cannot be part of a tag name
+        const tag = (text || '').replace(/;/g, '').trim();
+        this.searchText = '';
+        if (!tag || this._value.some(t => t.toLowerCase() === tag.toLowerCase())) return;
+        // Reuse the project's spelling so "Sev-A" does not become a second tag next to "sev-a"
+        const existing = this.projectTags.find(t => t.toLowerCase() === tag.toLowerCase());
+        this.commit([...this._value, existing || tag]);
+    }
+    commit(tags) {
+        this._value = tags;
+        this.dispatchEvent(new CustomEvent('change', { detail: { tags: [...tags] } }));
+    }
+}
@@ -2,15 +2,31 @@ import LightningModal from 'lightning/modal';
 import { api } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { showSuccessToast, showErrorToast, showInfoToast } from 'c/toastUtils';
+import { isTerminalCategory } from 'c/workItemStateUtils';
 import getAvailableConfigurations from '@salesforce/apex/AzureDevOpsController.getAvailableConfigurations';
 import getWorkItemTypes from '@salesforce/apex/AzureDevOpsController.getWorkItemTypes';
 import getAvailableStatesForType from '@salesforce/apex/AzureDevOpsController.getAvailableStatesForType';
 import createWorkItem from '@salesforce/apex/AzureDevOpsController.createWorkItem';
 import hasEditPermission from '@salesforce/apex/AzureDevOpsController.hasEditPermission';
 import getPriorities from '@salesforce/apex/AzureDevOpsController.getPriorities';
+import getCreateDefaults from '@salesforce/apex/AzureDevOpsController.getCreateDefaults';
+import attachFiles from '@salesforce/apex/AzureDevOpsController.attachFiles';
+import getAreaPaths from '@salesforce/apex/AzureDevOpsController.getAreaPaths';
+import getIterationPaths from '@salesforce/apex/AzureDevOpsController.getIterationPaths';
+import getWorkItemTypeFields from '@salesforce/apex/AzureDevOpsController.getWorkItemTypeFields';
+import { missingRequiredFields } from 'c/azureDevOpsWorkItemFields';
+
+// Mapped fields that have their own picker instead of a free-text input
+const CLASSIFICATION_FIELDS = { 'System.AreaPath': 'areaPath', 'System.IterationPath': 'iterationPath' };
+const TAGS_FIELD = 'System.Tags';
+const splitTags = value => String(value).split(';').map(t => t.trim()).filter(t => t);
 
 export default class AzureDevOpsWorkItemCreator extends LightningModal {
     @api modalTitle = 'Create New Work Item';
+    // Salesforce record the new work item is linked to (record page "Create & Link")
+    @api recordId;
+    // Configuration preselected when the modal opens
+    @api configName;
     
     selectedConfig = '';
     selectedWorkItemType = '';
@@ -25,6 +41,25 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
     isLoading = false;
     showSuccessPanel = false;
     lastCreatedWorkItem = {};
+    // Extra ADO fields prefilled from the record's "Create" mappings: [{ name, value }]
+    extraFields = [];
+    isPrefilled = false;
+    // Fields the user changed by hand; record prefill never overwrites them
+    editedFields = new Set();
+    // ContentDocument ids attached once the work item exists
+    selectedFileIds = [];
+    parentWorkItemId = null;
+    // Empty leaves the project's default area and current iteration
+    areaPath = '';
+    iterationPath = '';
+    areaOptions = [];
+    iterationOptions = [];
+    assignedTo = null;
+    // A "Create" mapping on System.Tags (e.g. Transform "Template:customer-reported; {Name}") prefills these
+    tags = [];
+    // Fields of the selected type beyond the fixed ones above (Repro Steps, Story Points, ...)
+    typeFields = [];
+    typeFieldValues = {};
 
     connectedCallback() {
         this.loadConfigurations();
@@ -54,6 +89,12 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
                     organization: c.organization,
                     project: c.project
                 }));
+                if (!this.selectedConfig && this.configName && this.configOptions.some(o => o.value === this.configName)) {
+                    this.selectedConfig = this.configName;
+                    this.loadClassificationPaths();
+                    this.loadTypes();
+                    this.loadPriorities();
+                }
             }
         } catch (e) {
             showErrorToast(this, 'Error loading configurations', e?.body?.message || String(e));
@@ -62,8 +103,14 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
 
     async loadTypes() {
         try {
-            const data = await getWorkItemTypes();
+            const data = await getWorkItemTypes({ configName: this.selectedConfig || null });
             if (Array.isArray(data)) this.workItemTypeOptions = data.map(t => ({ label: t.label, value: t.value, description: t.description }));
+            // Live connections list their own process's types, which may not include the previous choice
+            if (this.selectedWorkItemType && !this.workItemTypeOptions.some(o => o.value === this.selectedWorkItemType)) {
+                this.selectedWorkItemType = '';
+                this.stateOptions = [];
+                this.typeFields = [];
+            }
         } catch (e) {
             showErrorToast(this, 'Error loading types', e?.body?.message || String(e));
         }
@@ -71,17 +118,15 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
 
     async loadStatesForType() {
         try {
-            const data = await getAvailableStatesForType({ workItemType: this.selectedWorkItemType });
+            const data = await getAvailableStatesForType({
+                workItemType: this.selectedWorkItemType,
+                configName: this.selectedConfig || null
+            });
             if (Array.isArray(data)) {
-                const terminalStates = new Set(['done','closed','resolved']);
-                let options = data.map(s => ({ label: s.label, value: s.value, description: s.description }));
-                if (this.modalMode) {
-                    options = options.filter(o => {
-                        const v = (o.value || '').toString().trim().toLowerCase();
-                        return !terminalStates.has(v);
-                    });
-                }
-                this.stateOptions = options;
+                // A work item cannot be created in a completed or removed state
+                this.stateOptions = data
+                    .map(s => ({ label: s.label, value: s.value, description: s.description, category: s.category }))
+                    .filter(o => !isTerminalCategory(o.category));
 
                 if (!this.stateOptions.find(opt => opt.value === this.selectedState)) {
                     this.selectedState = this.stateOptions.length ? this.stateOptions[0].value : 'To Do';
@@ -106,7 +151,7 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
     }
     async loadPriorities() {
         try {
-            const data = await getPriorities();
+            const data = await getPriorities({ configName: this.selectedConfig || null });
             if (data && Array.isArray(data) && data.length > 0) {
                 this.priorityOptions = data.map(p => ({ label: p.label, value: String(p.value) }));
             } else {
@@ -122,7 +167,14 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
         return defaultValues.map(v => ({ label: v, value: v }));
     }
     get isCreateDisabled() {
-        return this.isLoading || !this.selectedConfig || !this.selectedWorkItemType || !this.title?.trim() || !this.hasEdit;
+        return (
+            this.isLoading ||
+            !this.selectedConfig ||
+            !this.selectedWorkItemType ||
+            !this.title?.trim() ||
+            !this.hasEdit ||
+            missingRequiredFields(this.typeFields, this.typeFieldValues).length > 0
+        );
     }
 
     get createButtonLabel() {
@@ -131,19 +183,157 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
 
     handleConfigChange(e) {
         this.selectedConfig = e.detail.value;
+        // A parent picked from another connection's project cannot be linked
+        this.parentWorkItemId = null;
+        this.template.querySelector('c-azure-dev-ops-work-item-lookup')?.clear();
+        this.loadClassificationPaths();
+        this.loadTypes();
+        this.loadPriorities();
+        if (this.selectedWorkItemType) {
+            this.loadStatesForType();
+        }
+        this.loadTypeFields();
+    }
+    async loadClassificationPaths() {
+        const configName = this.selectedConfig;
+        try {
+            const [areas, iterations] = await Promise.all([getAreaPaths({ configName }), getIterationPaths({ configName })]);
+            this.areaOptions = (areas || []).map(o => ({ label: o.label, value: o.value }));
+            this.iterationOptions = (iterations || []).map(o => ({ label: o.label, value: o.value }));
+        } catch (e) {
+            this.areaOptions = [];
+            this.iterationOptions = [];
+            showErrorToast(this, 'Error loading areas and iterations', e?.body?.message || String(e));
+        }
+        // Paths belong to one project; drop selections that the new connection does not have
+        if (!this.areaOptions.some(o => o.value === this.areaPath)) this.areaPath = '';
+        if (!this.iterationOptions.some(o => o.value === this.iterationPath)) this.iterationPath = '';
+    }
+    get areaPathOptions() {
+        return [{ label: 'Project default', value: '' }, ...this.areaOptions];
+    }
+    get iterationPathOptions() {
+        return [{ label: 'Current iteration', value: '' }, ...this.iterationOptions];
+    }
+    handleAssigneeChange(e) {
+        this.assignedTo = e.detail.uniqueName;
+        this.editedFields.add('System.AssignedTo');
+    }
+    handleTagsChange(e) {
+        this.tags = e.detail.tags;
+        this.editedFields.add('tags');
+    }
+    handleClassificationChange(e) {
+        this[e.target.name] = e.detail.value;
+        this.editedFields.add(e.target.name);
+    }
+    // Values already entered are kept for fields the new type or project also has; new fields start at their default
+    async loadTypeFields() {
+        if (!this.selectedConfig || !this.selectedWorkItemType) {
+            this.typeFields = [];
+            return;
+        }
+        try {
+            this.typeFields = (await getWorkItemTypeFields({
+                configName: this.selectedConfig,
+                workItemType: this.selectedWorkItemType
+            })) || [];
+        } catch (e) {
+            this.typeFields = [];
+            showErrorToast(this, 'Error loading type fields', e?.body?.message || String(e));
+        }
+        const values = {};
+        this.typeFields.forEach(f => {
+            const current = this.typeFieldValues[f.referenceName];
+            values[f.referenceName] = current !== undefined ? current : f.defaultValue || '';
+        });
+        this.typeFieldValues = values;
+    }
+    get hasTypeFields() {
+        return this.typeFields.length > 0;
+    }
+    get typeFieldsTitle() {
+        return `${this.selectedWorkItemType} Fields`;
+    }
+    handleTypeFieldChange(e) {
+        const { name, value } = e.detail;
+        this.typeFieldValues = { ...this.typeFieldValues, [name]: value };
+        this.editedFields.add(name);
     }
-    handleWorkItemTypeChange(e) {
+    async handleWorkItemTypeChange(e) {
         this.selectedWorkItemType = e.detail.value;
-        this.loadStatesForType();
+        await this.loadStatesForType();
+        await this.loadTypeFields();
+        if (this.recordId) {
+            await this.loadRecordDefaults();
+        }
     }
     handleInputChange(e) {
         this[e.target.name] = e.detail.value;
+        this.editedFields.add(e.target.name);
     }
     handleStateChange(e) {
         this.selectedState = e.detail.value;
+        this.editedFields.add('state');
     }
     handlePriorityChange(e) {
         this.selectedPriority = e.detail.value;
+        this.editedFields.add('priority');
+    }
+    handleExtraFieldChange(e) {
+        const name = e.target.dataset.name;
+        this.extraFields = this.extraFields.map(f => (f.name === name ? { ...f, value: e.detail.value } : f));
+        this.editedFields.add(name);
+    }
+
+    async loadRecordDefaults() {
+        try {
+            const defaults = await getCreateDefaults({
+                recordId: this.recordId,
+                workItemType: this.selectedWorkItemType
+            });
+            if (!defaults) return;
+            const prefill = (key, value, apply) => {
+                if (value !== null && value !== undefined && value !== '' && !this.editedFields.has(key)) {
+                    apply(value);
+                }
+            };
+            prefill('title', defaults.title, v => (this.title = v));
+            prefill('description', defaults.description, v => (this.description = v));
+            prefill('priority', defaults.priority, v => (this.selectedPriority = String(v)));
+            prefill('state', defaults.state, v => {
+                if (this.stateOptions.some(o => o.value === v)) this.selectedState = v;
+            });
+            const mapped = defaults.additionalFields || {};
+            Object.entries(CLASSIFICATION_FIELDS).forEach(([fieldName, prop]) => {
+                prefill(prop, mapped[fieldName], v => (this[prop] = v));
+            });
+            prefill('tags', mapped[TAGS_FIELD], v => (this.tags = splitTags(v)));
+            const typeFieldNames = new Set(this.typeFields.map(f => f.referenceName));
+            typeFieldNames.forEach(name => {
+                prefill(name, mapped[name], v => (this.typeFieldValues = { ...this.typeFieldValues, [name]: v }));
+            });
+            const previous = new Map(this.extraFields.map(f => [f.name, f.value]));
+            this.extraFields = Object.keys(mapped).filter(name => !CLASSIFICATION_FIELDS[name] && name !== TAGS_FIELD && !typeFieldNames.has(name)).map(name => ({
+                name,
+                value: this.editedFields.has(name) ? previous.get(name) : mapped[name]
+            }));
+            this.isPrefilled = true;
+        } catch (e) {
+            showErrorToast(this, 'Error loading record values', e?.body?.message || String(e));
+        }
+    }
+    get lookupsDisabled() {
+        return !this.selectedConfig;
+    }
+    handleParentSelect(e) {
+        this.parentWorkItemId = e.detail.workItemId;
+    }
+    handleAttachmentSelection(e) {
+        this.selectedFileIds = e.detail.contentDocumentIds || [];
+    }
+    get hasExtraFields() {
+        return this.extraFields.length > 0;
     }
 
     async handleCreateWorkItem() {
@@ -163,7 +353,10 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
                 title: this.title.trim(),
                 description: this.description || '',
                 state: this.selectedState || 'To Do',
-                priority: parseInt(this.selectedPriority, 10)
+                priority: parseInt(this.selectedPriority, 10),
+                recordId: this.recordId || null,
+                additionalFields: this.buildAdditionalFields(),
+                parentWorkItemId: this.parentWorkItemId
             });
             if (res && res.success) {
                 this.lastCreatedWorkItem = {
@@ -172,6 +365,9 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
                     title: res.title,
                     workItemUrl: res.workItemUrl
                 };
+                if (this.selectedFileIds.length) {
+                    await this.attachSelectedFiles(res.workItemId);
+                }
                 
                 this.close({
                     success: true,
@@ -188,6 +384,43 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
         }
     }
 
+    // The work item is already created, so an attachment failure is reported without failing the create
+    async attachSelectedFiles(workItemId) {
+        try {
+            const res = await attachFiles({
+                configName: this.selectedConfig,
+                workItemId,
+                contentDocumentIds: this.selectedFileIds
+            });
+            if (!res || !res.success) {
+                showErrorToast(this, 'Files Not Attached', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (err) {
+            showErrorToast(this, 'Files Not Attached', err?.body?.message || String(err));
+        }
+    }
+
+    buildAdditionalFields() {
+        const fields = {};
+        this.extraFields.forEach(f => {
+            if (f.value !== null && f.value !== undefined && String(f.value).trim() !== '') {
+                fields[f.name] = f.value;
+            }
+        });
+        this.typeFields.forEach(f => {
+            const value = this.typeFieldValues[f.referenceName];
+            if (value !== null && value !== undefined && String(value).trim() !== '') {
+                fields[f.referenceName] = String(value);
+            }
+        });
+        Object.entries(CLASSIFICATION_FIELDS).forEach(([fieldName, prop]) => {
+            if (this[prop]) fields[fieldName] = this[prop];
+        });
+        if (this.assignedTo) fields['System.AssignedTo'] = this.assignedTo;
+        if (this.tags.length) fields[TAGS_FIELD] = this.tags.join('; ');
+        return fields;
+    }
+
     handleCancel() {
         this.close({ success: false });
     }
@@ -197,5 +430,12 @@ export default class AzureDevOpsWorkItemCreator extends LightningModal {
         this.description = '';
         this.selectedState = 'To Do';
         this.selectedPriority = '2';
+        this.extraFields = [];
+        this.areaPath = '';
+        this.iterationPath = '';
+        this.assignedTo = null;
+        this.tags = [];
+        this.typeFieldValues = {};
+        this.editedFields = new Set();
     }
 }
@@ -1,37 +1,114 @@
 import LightningModal from 'lightning/modal';
 import { api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import { showSuccessToast, showErrorToast } from 'c/toastUtils';
+import { showSuccessToast, showErrorToast, showInfoToast } from 'c/toastUtils';
 import getAvailableStatesForType from '@salesforce/apex/AzureDevOpsController.getAvailableStatesForType';
-import updateWorkItem from '@salesforce/apex/AzureDevOpsController.updateWorkItem';
+import updateWorkItemAtRevision from '@salesforce/apex/AzureDevOpsController.updateWorkItemAtRevision';
+import getWorkItemRevision from '@salesforce/apex/AzureDevOpsController.getWorkItemRevision';
 import getPriorities from '@salesforce/apex/AzureDevOpsController.getPriorities';
+import getComments from '@salesforce/apex/AzureDevOpsController.getComments';
+import addComment from '@salesforce/apex/AzureDevOpsController.addComment';
+import hasEditPermission from '@salesforce/apex/AzureDevOpsController.hasEditPermission';
+import getAttachments from '@salesforce/apex/AzureDevOpsController.getAttachments';
+import attachFiles from '@salesforce/apex/AzureDevOpsController.attachFiles';
+import getWorkItemLinks from '@salesforce/apex/AzureDevOpsController.getWorkItemLinks';
+import addWorkItemLink from '@salesforce/apex/AzureDevOpsController.addWorkItemLink';
+import removeWorkItemLink from '@salesforce/apex/AzureDevOpsController.removeWorkItemLink';
+import getAreaPaths from '@salesforce/apex/AzureDevOpsController.getAreaPaths';
+import getIterationPaths from '@salesforce/apex/AzureDevOpsController.getIterationPaths';
+import getCreateDefaults from '@salesforce/apex/AzureDevOpsController.getCreateDefaults';
+import getWorkItemTypeFields from '@salesforce/apex/AzureDevOpsController.getWorkItemTypeFields';
+import getWorkItemFieldValues from '@salesforce/apex/AzureDevOpsController.getWorkItemFieldValues';
+import { missingRequiredFields } from 'c/azureDevOpsWorkItemFields';
+import AzureDevOpsConflictDialog from 'c/azureDevOpsConflictDialog';
+
+const splitTags = value => String(value).split(';').map(t => t.trim()).filter(t => t);
+const LINK_GROUPS = [
+    { linkType: 'Parent', label: 'Parent' },
+    { linkType: 'Child', label: 'Children' },
+    { linkType: 'Related', label: 'Related' }
+];
+// Editor values diffed on save and compared on a conflict; tags and type fields are added per item
+const TRACKED_FIELDS = [
+    { field: 'System.Title', label: 'Title', prop: 'title', initial: 'initialTitle' },
+    { field: 'System.Description', label: 'Description', prop: 'description', initial: 'initialDescription' },
+    { field: 'System.State', label: 'State', prop: 'state', initial: 'initialState' },
+    { field: 'Microsoft.VSTS.Common.Priority', label: 'Priority', prop: 'priority', initial: 'initialPriority' },
+    { field: 'System.AreaPath', label: 'Area Path', prop: 'areaPath', initial: 'initialAreaPath' },
+    { field: 'System.IterationPath', label: 'Iteration Path', prop: 'iterationPath', initial: 'initialIterationPath' },
+    { field: 'System.AssignedTo', label: 'Assigned To', prop: 'assignedTo', initial: 'initialAssignedTo' }
+];
 
 export default class AzureDevOpsWorkItemEditor extends LightningModal {
     @api workItemId;
+    @api recordId;
     @api workItemType;
     @api initialTitle = '';
     @api initialDescription = '';
     @api initialState = '';
     @api initialPriority = '2';
+    @api initialAreaPath = '';
+    @api initialIterationPath = '';
+    // Unique name of the current assignee and the name shown for it
+    @api initialAssignedTo = '';
+    @api assignedToName = '';
+    @api initialTags = [];
+    // Revision the initial values were read at; loaded on open when the caller does not know it
+    @api initialRev;
     @api configName;
     @api currentTitle;
     @api currentDescription;
     @api currentState;
     @api currentPriority;
+    @api currentAreaPath;
+    @api currentIterationPath;
 
     @track title = '';
     @track description = '';
     @track state = '';
     @track priority = '2';
+    rev = null;
+    // Values of the revision merged in after a conflict, which later saves are diffed against instead of the initial values
+    baselineValues = null;
+    isLoadingRevision = false;
+    areaPath = '';
+    iterationPath = '';
+    assignedTo = '';
+    tags = [];
+    isApplyingTags = false;
+    typeFields = [];
+    typeFieldValues = {};
+    initialTypeFieldValues = {};
+    isLoadingTypeFields = false;
+    areaOptions = [];
+    iterationOptions = [];
     @track stateOptions = [];
     @track isSaving = false;
     @track priorityOptions = [];
+    @track comments = [];
+    isLoadingComments = false;
+    commentsLoaded = false;
+    newComment = '';
+    includeFooter = true;
+    isPosting = false;
+    canComment = false;
+    @track attachments = [];
+    isLoadingAttachments = false;
+    attachmentsLoaded = false;
+    selectedFileIds = [];
+    isAttaching = false;
+    @track links = [];
+    isLoadingLinks = false;
+    linksLoaded = false;
+    newLinkType = 'Related';
+    newLinkTargetId = null;
+    isLinking = false;
 
     get modalTitle() {
         return `Edit ${this.workItemType || 'Work Item'}`;
     }
     get isLoading() {
-        return this.isSaving;
+        return this.isSaving || this.isLoadingRevision;
     }
     get selectedState() {
         return this.state;
@@ -52,15 +129,67 @@ export default class AzureDevOpsWorkItemEditor extends LightningModal {
         return s ? s.label : '';
     }
     get hasChanges() {
+        return Object.keys(this.changedFields).length > 0;
+    }
+    get isSaveDisabled() {
         return (
-            this.title !== (this.initialTitle || '') ||
-            this.description !== (this.initialDescription || '') ||
-            this.state !== (this.initialState || '') ||
-            this.priority !== (this.initialPriority || '2')
+            this.isSaving ||
+            this.isLoadingRevision ||
+            !this.hasChanges ||
+            !this.title?.trim() ||
+            missingRequiredFields(this.typeFields, this.typeFieldValues).length > 0
         );
     }
-    get isSaveDisabled() {
-        return this.isSaving || !this.hasChanges || !this.title?.trim();
+    // Only these are sent on save; an empty value clears the field in Azure DevOps
+    get changedFields() {
+        const base = this.baseValues();
+        const current = this.editorValues();
+        const changed = {};
+        Object.keys(current).forEach(field => {
+            if (current[field] !== base[field]) changed[field] = current[field];
+        });
+        return changed;
+    }
+    get hasComments() {
+        return this.comments.length > 0;
+    }
+    get showNoComments() {
+        return this.commentsLoaded && !this.isLoadingComments && !this.hasComments;
+    }
+    get cannotComment() {
+        return !this.canComment;
+    }
+    get isPostDisabled() {
+        return this.isPosting || !this.canComment || !this.newComment?.trim();
+    }
+    get hasAttachments() {
+        return this.attachments.length > 0;
+    }
+    get showNoAttachments() {
+        return this.attachmentsLoaded && !this.isLoadingAttachments && !this.hasAttachments;
+    }
+    get isAttachDisabled() {
+        return this.isAttaching || !this.canComment || this.selectedFileIds.length === 0;
+    }
+    get linkGroups() {
+        return LINK_GROUPS.map(g => ({ ...g, items: this.links.filter(l => l.linkType === g.linkType) })).filter(
+            g => g.items.length > 0
+        );
+    }
+    get hasLinks() {
+        return this.links.length > 0;
+    }
+    get showNoLinks() {
+        return this.linksLoaded && !this.isLoadingLinks && !this.hasLinks;
+    }
+    get linkTypeOptions() {
+        return LINK_GROUPS.map(g => ({ label: g.linkType, value: g.linkType }));
+    }
+    get isAddLinkDisabled() {
+        return this.isLinking || !this.canComment || !this.newLinkTargetId;
+    }
+    get workItemIdInt() {
+        return Number.isInteger(this.workItemId) ? this.workItemId : parseInt(this.workItemId, 10);
     }
 
     connectedCallback() {
@@ -68,15 +197,92 @@ export default class AzureDevOpsWorkItemEditor extends LightningModal {
         this.description = this.currentDescription ?? this.initialDescription ?? '';
         this.state = this.currentState ?? this.initialState ?? '';
         this.priority = String(this.currentPriority ?? this.initialPriority ?? '2');
+        this.areaPath = this.currentAreaPath ?? this.initialAreaPath ?? '';
+        this.iterationPath = this.currentIterationPath ?? this.initialIterationPath ?? '';
+        this.assignedTo = this.initialAssignedTo || '';
+        this.tags = [...(this.initialTags || [])];
+        this.rev = this.initialRev ?? null;
+        if (this.rev == null) this.loadRevision();
+        this.loadTypeFields();
+    }
+
+    async loadRevision() {
+        if (!this.configName || !this.workItemId) return;
+        this.isLoadingRevision = true;
+        try {
+            const latest = await getWorkItemRevision({
+                configName: this.configName,
+                workItemId: this.workItemIdInt,
+                fieldNames: []
+            });
+            this.rev = latest?.rev ?? null;
+        } catch (err) {
+            showErrorToast(this, 'Error loading revision', err?.body?.message || String(err));
+        } finally {
+            this.isLoadingRevision = false;
+        }
+    }
+
+    // The grid only carries summary fields, so the type's own fields are read from the work item
+    async loadTypeFields() {
+        if (!this.configName || !this.workItemType || !this.workItemId) return;
+        this.isLoadingTypeFields = true;
+        try {
+            const definitions = (await getWorkItemTypeFields({ configName: this.configName, workItemType: this.workItemType })) || [];
+            const values = definitions.length
+                ? await getWorkItemFieldValues({
+                      configName: this.configName,
+                      workItemId: this.workItemIdInt,
+                      fieldNames: definitions.map(f => f.referenceName)
+                  })
+                : {};
+            const initial = {};
+            definitions.forEach(f => {
+                initial[f.referenceName] = values?.[f.referenceName] ?? '';
+            });
+            this.initialTypeFieldValues = initial;
+            this.typeFieldValues = { ...initial };
+            this.typeFields = definitions;
+        } catch (err) {
+            showErrorToast(this, 'Error loading type fields', err?.body?.message || String(err));
+        } finally {
+            this.isLoadingTypeFields = false;
+        }
+    }
+    handleTypeFieldChange(e) {
+        const { name, value } = e.detail;
+        this.typeFieldValues = { ...this.typeFieldValues, [name]: value };
     }
 
-    @wire(getAvailableStatesForType, { workItemType: '$workItemType' })
+    // The work item's own path stays selectable even if the cached list does not have it yet
+    withCurrentPath(options, current) {
+        const mapped = (options || []).map(o => ({ label: o.label, value: o.value }));
+        return current && !mapped.some(o => o.value === current) ? [{ label: current, value: current }, ...mapped] : mapped;
+    }
+    @wire(getAreaPaths, { configName: '$configName' })
+    wiredAreaPaths({ error, data }) {
+        if (data) this.areaOptions = this.withCurrentPath(data, this.areaPath);
+        else if (error) {
+            this.areaOptions = this.withCurrentPath([], this.areaPath);
+            showErrorToast(this, 'Error loading areas', error.body?.message || String(error));
+        }
+    }
+    @wire(getIterationPaths, { configName: '$configName' })
+    wiredIterationPaths({ error, data }) {
+        if (data) this.iterationOptions = this.withCurrentPath(data, this.iterationPath);
+        else if (error) {
+            this.iterationOptions = this.withCurrentPath([], this.iterationPath);
+            showErrorToast(this, 'Error loading iterations', error.body?.message || String(error));
+        }
+    }
+
+    @wire(getAvailableStatesForType, { workItemType: '$workItemType', configName: '$configName' })
     wiredStates({ error, data }) {
         if (data) this.stateOptions = data.map(s => ({ label: s.label, value: s.value }));
         else if (error) showErrorToast(this, 'Error loading states', error.body?.message);
     }
 
-    @wire(getPriorities)
+    @wire(getPriorities, { configName: '$configName' })
     wiredPriorities({ error, data }) {
         if (data) {
             this.priorityOptions = data.map(p => ({ label: p.label, value: p.value }));
@@ -99,6 +305,176 @@ export default class AzureDevOpsWorkItemEditor extends LightningModal {
         }
     }
 
+    @wire(hasEditPermission)
+    wiredPermission({ data }) {
+        this.canComment = !!data;
+    }
+
+    // Comments are loaded the first time the Discussion tab is opened
+    handleDiscussionActive() {
+        if (!this.commentsLoaded) this.loadComments();
+    }
+    async loadComments() {
+        this.isLoadingComments = true;
+        try {
+            const workItemId = Number.isInteger(this.workItemId) ? this.workItemId : parseInt(this.workItemId, 10);
+            this.comments = (await getComments({ configName: this.configName, workItemId })) || [];
+            this.commentsLoaded = true;
+        } catch (err) {
+            showErrorToast(this, 'Error loading comments', err?.body?.message || String(err));
+        } finally {
+            this.isLoadingComments = false;
+        }
+    }
+    // Attachments are loaded the first time the Attachments tab is opened
+    handleAttachmentsActive() {
+        if (!this.attachmentsLoaded) this.loadAttachments();
+    }
+    async loadAttachments() {
+        this.isLoadingAttachments = true;
+        try {
+            const workItemId = Number.isInteger(this.workItemId) ? this.workItemId : parseInt(this.workItemId, 10);
+            const rows = (await getAttachments({ configName: this.configName, workItemId })) || [];
+            this.attachments = rows.map((a, i) => ({
+                ...a,
+                key: `${i}-${a.url}`,
+                sizeLabel: a.size ? `${Math.max(1, Math.round(a.size / 1000))} KB` : ''
+            }));
+            this.attachmentsLoaded = true;
+        } catch (err) {
+            showErrorToast(this, 'Error loading attachments', err?.body?.message || String(err));
+        } finally {
+            this.isLoadingAttachments = false;
+        }
+    }
+    handleAttachmentSelection(e) {
+        this.selectedFileIds = e.detail.contentDocumentIds || [];
+    }
+    async handleAttachFiles() {
+        this.isAttaching = true;
+        try {
+            const res = await attachFiles({
+                configName: this.configName,
+                workItemId: Number.isInteger(this.workItemId) ? this.workItemId : parseInt(this.workItemId, 10),
+                contentDocumentIds: this.selectedFileIds
+            });
+            if (res && res.success) {
+                showSuccessToast(this, 'Files attached', res.message);
+                this.template.querySelector('c-azure-dev-ops-attachment-picker')?.clearSelection();
+                this.selectedFileIds = [];
+                await this.loadAttachments();
+            } else {
+                showErrorToast(this, 'Attach Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (err) {
+            showErrorToast(this, 'Unexpected Error', err?.body?.message || String(err));
+        } finally {
+            this.isAttaching = false;
+        }
+    }
+
+    // Links are loaded the first time the Links tab is opened
+    handleLinksActive() {
+        if (!this.linksLoaded) this.loadLinks();
+    }
+    async loadLinks() {
+        this.isLoadingLinks = true;
+        try {
+            const rows = (await getWorkItemLinks({ configName: this.configName, workItemId: this.workItemIdInt })) || [];
+            this.links = rows.map(l => ({
+                ...l,
+                key: `${l.linkType}-${l.workItemId}`,
+                label: `#${l.workItemId} ${l.title || ''}`,
+                meta: [l.workItemType, l.state].filter(Boolean).join(' · ')
+            }));
+            this.linksLoaded = true;
+        } catch (err) {
+            showErrorToast(this, 'Error loading links', err?.body?.message || String(err));
+        } finally {
+            this.isLoadingLinks = false;
+        }
+    }
+    handleLinkTypeChange(e) {
+        this.newLinkType = e.detail.value;
+    }
+    handleLinkTargetSelect(e) {
+        this.newLinkTargetId = e.detail.workItemId;
+    }
+    async handleAddLink() {
+        this.isLinking = true;
+        try {
+            const res = await addWorkItemLink({
+                configName: this.configName,
+                workItemId: this.workItemIdInt,
+                linkType: this.newLinkType,
+                targetWorkItemId: this.newLinkTargetId
+            });
+            if (res && res.success) {
+                showSuccessToast(this, 'Link added', res.message);
+                this.template.querySelector('c-azure-dev-ops-work-item-lookup')?.clear();
+                this.newLinkTargetId = null;
+                await this.loadLinks();
+            } else {
+                showErrorToast(this, 'Link Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (err) {
+            showErrorToast(this, 'Unexpected Error', err?.body?.message || String(err));
+        } finally {
+            this.isLinking = false;
+        }
+    }
+    async handleRemoveLink(e) {
+        const { linkType, id } = e.currentTarget.dataset;
+        this.isLinking = true;
+        try {
+            const res = await removeWorkItemLink({
+                configName: this.configName,
+                workItemId: this.workItemIdInt,
+                linkType,
+                targetWorkItemId: parseInt(id, 10)
+            });
+            if (res && res.success) {
+                showSuccessToast(this, 'Link removed', res.message);
+                await this.loadLinks();
+            } else {
+                showErrorToast(this, 'Remove Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (err) {
+            showErrorToast(this, 'Unexpected Error', err?.body?.message || String(err));
+        } finally {
+            this.isLinking = false;
+        }
+    }
+
+    handleCommentChange(e) {
+        this.newComment = e.detail?.value ?? e.target.value;
+    }
+    handleFooterChange(e) {
+        this.includeFooter = e.target.checked;
+    }
+    async handlePostComment() {
+        this.isPosting = true;
+        try {
+            const res = await addComment({
+                configName: this.configName,
+                workItemId: Number.isInteger(this.workItemId) ? this.workItemId : parseInt(this.workItemId, 10),
+                text: this.newComment,
+                includeFooter: this.includeFooter
+            });
+            if (res && res.success) {
+                this.newComment = '';
+                showSuccessToast(this, 'Comment added', res.message);
+                await this.loadComments();
+            } else {
+                showErrorToast(this, 'Comment Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (err) {
+            showErrorToast(this, 'Unexpected Error', err?.body?.message || String(err));
+        } finally {
+            this.isPosting = false;
+        }
+    }
+
     handleInputChange(e) {
         const name = e.target.name;
         this[name] = e.detail?.value ?? e.target.value;
@@ -109,11 +485,43 @@ export default class AzureDevOpsWorkItemEditor extends LightningModal {
     handlePriorityChange(e) {
         this.priority = String(e.detail?.value ?? e.target.value);
     }
+    handleClassificationChange(e) {
+        this[e.target.name] = e.detail.value;
+    }
+    handleAssigneeChange(e) {
+        this.assignedTo = e.detail.uniqueName || '';
+    }
+    handleTagsChange(e) {
+        this.tags = e.detail.tags;
+    }
+    // Adds the tags the record's "Create" mapping on System.Tags produces, keeping the ones already set
+    async handleApplyMappedTags() {
+        this.isApplyingTags = true;
+        try {
+            const defaults = await getCreateDefaults({ recordId: this.recordId, workItemType: this.workItemType });
+            const mapped = defaults?.additionalFields?.['System.Tags'];
+            const taken = new Set(this.tags.map(t => t.toLowerCase()));
+            const added = mapped ? splitTags(mapped).filter(t => !taken.has(t.toLowerCase())) : [];
+            if (added.length) {
+                this.tags = [...this.tags, ...added];
+            } else {
+                showInfoToast(this, 'No Tags Added', 'The field mappings for this record add no new tags.');
+            }
+        } catch (err) {
+            showErrorToast(this, 'Error loading mapped tags', err?.body?.message || String(err));
+        } finally {
+            this.isApplyingTags = false;
+        }
+    }
     handleReset() {
         this.title = this.initialTitle || '';
         this.description = this.initialDescription || '';
         this.state = this.initialState || '';
         this.priority = this.initialPriority || '2';
+        this.areaPath = this.initialAreaPath || '';
+        this.iterationPath = this.initialIterationPath || '';
+        this.tags = [...(this.initialTags || [])];
+        this.typeFieldValues = { ...this.initialTypeFieldValues };
     }
 
     async handleSave() {
@@ -124,16 +532,21 @@ export default class AzureDevOpsWorkItemEditor extends LightningModal {
         this.isSaving = true;
         try {
             const workItemIdInt = Number.isInteger(this.workItemId) ? this.workItemId : parseInt(this.workItemId, 10);
-            const priorityInt = Number.isInteger(this.priority) ? this.priority : parseInt(this.priority, 10);
-            const res = await updateWorkItem({
+            const res = await updateWorkItemAtRevision({
                 configName: this.configName,
                 workItemId: workItemIdInt,
-                title: this.title,
-                description: this.description,
-                state: this.state,
-                priority: priorityInt
+                changes: this.changedFields,
+                rev: this.rev
             });
-            if (res && res.success) {
+            if (res && res.conflict) {
+                if (!(await this.resolveConflict())) return;
+                if (this.hasChanges) {
+                    await this.handleSave();
+                } else {
+                    showInfoToast(this, 'Nothing to Save', 'The work item already has the values you kept.');
+                    this.close({ success: true, workItemId: workItemIdInt, result: res });
+                }
+            } else if (res && res.success) {
                 showSuccessToast(this, 'Saved', res.message || 'Work item updated');
                 this.close({
                     success: true,
@@ -150,6 +563,100 @@ export default class AzureDevOpsWorkItemEditor extends LightningModal {
         }
     }
 
+    // Field values keyed by reference name, in the form Azure DevOps returns them
+    editorValues() {
+        const values = {};
+        TRACKED_FIELDS.forEach(f => {
+            values[f.field] = String(this[f.prop] ?? '');
+        });
+        values['System.Tags'] = this.tags.join('; ');
+        this.typeFields.forEach(f => {
+            values[f.referenceName] = this.typeFieldValues[f.referenceName] ?? '';
+        });
+        return values;
+    }
+    baseValues() {
+        if (this.baselineValues) return this.baselineValues;
+        const values = {};
+        TRACKED_FIELDS.forEach(f => {
+            values[f.field] = String(this[f.initial] || (f.prop === 'priority' ? '2' : ''));
+        });
+        values['System.Tags'] = (this.initialTags || []).join('; ');
+        this.typeFields.forEach(f => {
+            values[f.referenceName] = this.initialTypeFieldValues[f.referenceName] ?? '';
+        });
+        return values;
+    }
+    applyValues(values) {
+        TRACKED_FIELDS.forEach(f => {
+            this[f.prop] = values[f.field];
+        });
+        this.tags = splitTags(values['System.Tags']);
+        const typeFieldValues = {};
+        this.typeFields.forEach(f => {
+            typeFieldValues[f.referenceName] = values[f.referenceName];
+        });
+        this.typeFieldValues = typeFieldValues;
+    }
+
+    // Compares the edit with the latest revision and lets the user merge or overwrite.
+    // Returns true when the editor now holds the values to save at that revision.
+    async resolveConflict() {
+        const mine = this.editorValues();
+        const original = this.baseValues();
+        let latest;
+        try {
+            latest = await getWorkItemRevision({
+                configName: this.configName,
+                workItemId: this.workItemIdInt,
+                fieldNames: Object.keys(mine)
+            });
+        } catch (err) {
+            showErrorToast(this, 'Error loading latest revision', err?.body?.message || String(err));
+            return false;
+        }
+        const labels = {};
+        TRACKED_FIELDS.forEach(f => {
+            labels[f.field] = f.label;
+        });
+        labels['System.Tags'] = 'Tags';
+        this.typeFields.forEach(f => {
+            labels[f.referenceName] = f.name || f.referenceName;
+        });
+        const latestValues = {};
+        Object.keys(mine).forEach(field => {
+            latestValues[field] = latest?.values?.[field] ?? '';
+        });
+        const changes = Object.keys(mine)
+            .map(field => ({
+                field,
+                label: labels[field],
+                original: original[field],
+                theirs: latestValues[field],
+                mine: mine[field]
+            }))
+            .filter(c => c.mine !== c.original || c.theirs !== c.original);
+
+        const result = await AzureDevOpsConflictDialog.open({
+            size: 'large',
+            workItemId: this.workItemIdInt,
+            changes
+        });
+        if (!result || result.action === 'cancel') return false;
+
+        // Fields only Azure DevOps changed take its value so the retried save does not undo them
+        const resolved = { ...mine };
+        changes.forEach(c => {
+            const keepMine =
+                result.action === 'overwrite' ? c.mine !== c.original : result.choices?.[c.field] === 'mine';
+            resolved[c.field] = keepMine ? c.mine : c.theirs;
+        });
+        this.applyValues(resolved);
+        this.baselineValues = latestValues;
+        this.rev = latest.rev;
+        return true;
+    }
+
     handleCancel() {
         this.close({ success: false });
     }
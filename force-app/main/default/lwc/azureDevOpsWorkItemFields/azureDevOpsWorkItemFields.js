@@ -0,0 +1,60 @@
+import { LightningElement, api } from 'lwc';
+import UniversalModalHelper from 'c/universalModalHelper';
+
+const NUMBER_TYPES = new Set(['integer', 'double', 'picklistInteger', 'picklistDouble']);
+const LONG_TEXT_TYPES = new Set(['plainText', 'history']);
+
+// Input type for a field definition; allowed values always win so rule-driven picklists render as comboboxes
+const inputType = definition => {
+    if (definition.allowedValues && definition.allowedValues.length) return 'combobox';
+    if (definition.fieldType === 'html') return 'richtext';
+    if (LONG_TEXT_TYPES.has(definition.fieldType)) return 'textarea';
+    if (NUMBER_TYPES.has(definition.fieldType)) return 'number';
+    if (definition.fieldType === 'boolean') return 'checkbox';
+    if (definition.fieldType === 'dateTime') return 'datetime';
+    return 'text';
+};
+
+// Required fields of definitions that have no value yet
+export const missingRequiredFields = (definitions, values) =>
+    (definitions || []).filter(d => {
+        const value = (values || {})[d.referenceName];
+        return d.required && (value === null || value === undefined || String(value).trim() === '');
+    });
+
+export default class AzureDevOpsWorkItemFields extends LightningElement {
+    // WorkItemFieldDefinition list from AzureDevOpsController.getWorkItemTypeFields
+    @api definitions = [];
+    // Current values keyed by reference name; the parent owns them and applies each "change" event
+    @api values = {};
+    @api disabled = false;
+
+    get fields() {
+        const values = this.values || {};
+        return (this.definitions || []).map(d => {
+            const type = inputType(d);
+            const value = values[d.referenceName];
+            const options = (d.allowedValues || []).map(v => ({ label: v, value: v }));
+            const field = UniversalModalHelper.createField(d.referenceName, type, {
+                label: d.name,
+                required: d.required,
+                value: value === null || value === undefined ? '' : String(value),
+                // A blank choice lets optional picklists be left unset
+                options: d.required ? options : [{ label: '--None--', value: '' }, ...options],
+                helpText: d.helpText,
+                rows: 4,
+                step: d.fieldType === 'integer' || d.fieldType === 'picklistInteger' ? '1' : 'any'
+            });
+            return { ...field, checked: String(value).toLowerCase() === 'true' };
+        });
+    }
+    get hasFields() {
+        return this.fields.length > 0;
+    }
+
+    handleFieldChange(e) {
+        const name = e.target.dataset.fieldName;
+        const value = e.target.type === 'checkbox' ? String(e.target.checked) : e.detail?.value ?? e.target.value;
+        this.dispatchEvent(new CustomEvent('change', { detail: { name, value } }));
+    }
+}
@@ -0,0 +1,105 @@
+import { LightningElement, api } from 'lwc';
+import { showErrorToast } from 'c/toastUtils';
+import getWorkItems from '@salesforce/apex/AzureDevOpsController.getWorkItems';
+
+const SEARCH_DELAY = 300;
+const MAX_RESULTS = 10;
+
+export default class AzureDevOpsWorkItemLookup extends LightningElement {
+    @api configName;
+    @api label = 'Work Item';
+    @api placeholder = 'Search by id or title...';
+    @api disabled = false;
+    // The work item being edited; never offered as a result
+    @api excludeId;
+
+    searchText = '';
+    results = [];
+    selected = null;
+    isSearching = false;
+
+    @api
+    get value() {
+        return this.selected ? this.selected.workItemId : null;
+    }
+    @api
+    clear() {
+        this.selected = null;
+        this.searchText = '';
+        this.results = [];
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this._searchT);
+    }
+
+    get hasResults() {
+        return this.results.length > 0;
+    }
+    get selectedLabel() {
+        return this.selected ? `#${this.selected.workItemId} ${this.selected.title || ''}` : '';
+    }
+
+    handleSearchChange(e) {
+        this.searchText = e.detail?.value ?? e.target.value;
+        clearTimeout(this._searchT);
+        if (!this.searchText?.trim()) {
+            this.results = [];
+            return;
+        }
+        this._searchT = setTimeout(() => this.search(), SEARCH_DELAY);
+    }
+    async search() {
+        if (!this.configName) return;
+        const searchText = this.searchText?.trim();
+        this.isSearching = true;
+        try {
+            const res = await getWorkItems({
+                configName: this.configName,
+                workItemType: null,
+                state: null,
+                maxResults: MAX_RESULTS,
+                pageToken: null,
+                filter: { searchText }
+            });
+            // Ignore responses for a search the user has already typed past
+            if (searchText !== this.searchText?.trim()) return;
+            if (res && res.success) {
+                const excluded = this.excludeId != null ? Number(this.excludeId) : null;
+                this.results = (res.workItems || [])
+                    .filter(w => w.workItemId !== excluded)
+                    .map(w => ({ ...w, key: `${w.workItemId}`, label: `#${w.workItemId} ${w.title}`, meta: `${w.workItemType} · ${w.state}` }));
+            } else {
+                showErrorToast(this, 'Search Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (err) {
+            showErrorToast(this, 'Search Failed', err?.body?.message || String(err));
+        } finally {
+            this.isSearching = false;
+        }
+    }
+
+    handleSelect(e) {
+        const id = Number(e.currentTarget.dataset.id);
+        this.selected = this.results.find(w => w.workItemId === id) || null;
+        this.results = [];
+        this.searchText = '';
+        this.notify();
+    }
+    handleRemove() {
+        this.clear();
+        this.notify();
+    }
+    notify() {
+        const s = this.selected;
+        this.dispatchEvent(
+            new CustomEvent('select', {
+                detail: {
+                    workItemId: s ? s.workItemId : null,
+                    title: s ? s.title : null,
+                    workItemType: s ? s.workItemType : null
+                }
+            })
+        );
+    }
+}
@@ -1,13 +1,62 @@
 import { LightningElement, api } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { showSuccessToast, showErrorToast, showInfoToast } from 'c/toastUtils';
+import { isCompletedCategory, stateBadgeClass } from 'c/workItemStateUtils';
+import { subscribe, unsubscribe } from 'lightning/empApi';
 import getWorkItems from '@salesforce/apex/AzureDevOpsController.getWorkItems';
 import getAvailableConfigurations from '@salesforce/apex/AzureDevOpsController.getAvailableConfigurations';
+import getWorkItemTypes from '@salesforce/apex/AzureDevOpsController.getWorkItemTypes';
+import getAvailableStatesForType from '@salesforce/apex/AzureDevOpsController.getAvailableStatesForType';
 import deleteWorkItemWithReason from '@salesforce/apex/AzureDevOpsController.deleteWorkItemWithReason';
+import destroyWorkItem from '@salesforce/apex/AzureDevOpsController.destroyWorkItem';
+import restoreWorkItem from '@salesforce/apex/AzureDevOpsController.restoreWorkItem';
+import getDeletedWorkItems from '@salesforce/apex/AzureDevOpsController.getDeletedWorkItems';
+import bulkUpdateWorkItems from '@salesforce/apex/AzureDevOpsController.bulkUpdateWorkItems';
+import bulkDeleteWorkItems from '@salesforce/apex/AzureDevOpsController.bulkDeleteWorkItems';
+import getPriorities from '@salesforce/apex/AzureDevOpsController.getPriorities';
+import hasDestroyPermission from '@salesforce/apex/AzureDevOpsController.hasDestroyPermission';
+import getSavedQueries from '@salesforce/apex/AzureDevOpsController.getSavedQueries';
+import linkWorkItem from '@salesforce/apex/AzureDevOpsController.linkWorkItem';
+import unlinkWorkItem from '@salesforce/apex/AzureDevOpsController.unlinkWorkItem';
+import getWorkItemHistory from '@salesforce/apex/AzureDevOpsController.getWorkItemHistory';
+import getSavedViews from '@salesforce/apex/AzureDevOpsController.getSavedViews';
+import saveView from '@salesforce/apex/AzureDevOpsController.saveView';
+import deleteSavedView from '@salesforce/apex/AzureDevOpsController.deleteSavedView';
 import UniversalModal from 'c/universalModal';
+import UniversalModalHelper from 'c/universalModalHelper';
 import AzureDevOpsWorkItemCreator from 'c/azureDevOpsWorkItemCreator';
 import AzureDevOpsWorkItemEditor from 'c/azureDevOpsWorkItemEditor';
 import hasEditPermission from '@salesforce/apex/AzureDevOpsController.hasEditPermission';
+import getAreaPaths from '@salesforce/apex/AzureDevOpsController.getAreaPaths';
+import getIterationPaths from '@salesforce/apex/AzureDevOpsController.getIterationPaths';
+
+// Published by the Azure DevOps service-hook receiver (AzureDevOpsWebhook)
+const WORK_ITEM_EVENT_CHANNEL = '/event/Azure_Work_Item_Event__e';
+
+// Query columns are keyed by reference name (e.g. Custom.Team); datatable field names must be plain keys
+const columnKey = referenceName => `f_${referenceName.replace(/[^A-Za-z0-9]/g, '_')}`;
+
+// Work item types that never have children get no expander in the hierarchy view
+const LEAF_TYPES = new Set(['Task']);
+const MAX_CHILDREN = 200;
+
+// Columns users can add to the default column set from the grid's column menu
+const OPTIONAL_COLUMNS = [
+    { label: 'Area Path', fieldName: 'areaPath', type: 'text', sortable: true, wrapText: true, initialWidth: 180 },
+    { label: 'Iteration Path', fieldName: 'iterationPath', type: 'text', sortable: true, wrapText: true, initialWidth: 180 }
+];
+
+// Bulk bar menu; every change except delete is one form field that becomes a BulkChange property
+const BULK_ACTIONS = [
+    { label: 'Change State', value: 'state' },
+    { label: 'Change Priority', value: 'priority' },
+    { label: 'Reassign', value: 'assignedTo' },
+    { label: 'Add Tag', value: 'addTag' },
+    { label: 'Remove Tag', value: 'removeTag' },
+    { label: 'Delete', value: 'delete' }
+];
+// The server sends one $batch call per bulk action
+const MAX_BULK_ITEMS = 200;
 
 export default class AzureDevOpsWorkItemManager extends LightningElement {
     @api
@@ -20,46 +69,83 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
     height = '400px';
     @api
     defaultConfiguration = 'standard';
-
+    @api
+    defaultView = '';
+    // Set on record pages; the grid then only shows work items linked to the record
+    @api
+    recordId;
+    // Start in the hierarchy (tree grid) view instead of the flat list
+    @api
+    showHierarchy = false;
 
     workItems = [];
     filteredWorkItems = [];
     configurations = [];
     _cachedConfigOptions = null;
     _cachedConfigOptionsForHash = '';
-    _cachedTypeFilterOptions = null;
-    _cachedTypeFilterHash = '';
-    _cachedStateFilterOptions = null;
-    _cachedStateFilterHash = '';
+    typeOptions = [];
+    stateOptions = [];
+    savedViews = [];
+    querySource = 'filters';
+    savedQueryOptions = [];
+    selectedSavedQuery = '';
+    wiqlText = '';
+    selectedViewId = '';
     isLoading = false;
+    isLoadingMore = false;
+    // Bumped by every reload so responses to filters the user has already changed are dropped
+    loadRequestId = 0;
+    nextPageToken = null;
+    hasMore = false;
     error = null;
     selectedConfig = '';
     selectedTypeFilter = '';
     selectedStateFilter = '';
     searchTerm = '';
+    assignedToFilter = '';
+    assignedToMe = false;
+    // Work items must carry all of these tags
+    tagFilter = [];
+    areaPathFilter = '';
+    iterationPathFilter = '';
+    areaOptions = [];
+    iterationOptions = [];
+    // fieldNames of the OPTIONAL_COLUMNS currently shown
+    optionalColumns = [];
+    changedFrom = null;
+    changedTo = null;
     sortedBy = 'title';
     sortedDirection = 'asc';
     workItemStats = { total: 0, inProgress: 0, completed: 0 };
 
     columns = [];
+    queryColumns = null;
     hasEdit = false;
+    // Admins with the destroy custom permission can skip the recycle bin
+    canDestroy = false;
+    isTreeMode = false;
+    // Loaded children keyed by tree row id (the parent's path, e.g. "12/34")
+    childrenByKey = {};
+    expandedTreeRows = [];
+    // Row ids selected for bulk actions (flat view only)
+    selectedRowIds = [];
+    bulkActions = BULK_ACTIONS;
+    isBulkRunning = false;
+    // Per-item outcome of the last bulk action; null hides the results panel
+    bulkResults = null;
 
-    buildColumns() {
-        const base = [
-            { label: 'ID', fieldName: 'workItemId', type: 'number', sortable: true, initialWidth: 80 },
-            { label: 'Title', fieldName: 'title', type: 'text', sortable: true, wrapText: true, initialWidth: 300 },
-            { label: 'Type', fieldName: 'workItemType', type: 'text', sortable: true, initialWidth: 120 },
-            { label: 'State', fieldName: 'state', type: 'text', sortable: true, initialWidth: 110 },
-            { label: 'Assigned To', fieldName: 'assignedTo', type: 'text', sortable: true, initialWidth: 150 },
-            { label: 'Created Date', fieldName: 'createdDate', type: 'date', sortable: true, initialWidth: 130 },
-            { label: 'Priority', fieldName: 'priority', type: 'text', sortable: true, initialWidth: 100 }
-        ];
+    buildColumns(queryColumns) {
+        const base = queryColumns && queryColumns.length ? this.buildQueryColumns(queryColumns) : this.defaultColumns();
 
         const actions = [];
         if (this.hasEdit) {
             actions.push({ label: 'Edit', name: 'edit' });
             actions.push({ label: 'Delete', name: 'delete' });
+            if (this.isRecordContext) {
+                actions.push({ label: 'Unlink', name: 'unlink' });
+            }
         }
+        actions.push({ label: 'History', name: 'history' });
         actions.push({ label: 'Open in Azure', name: 'open_azure' });
 
         base.push({
@@ -73,9 +159,92 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         return base;
     }
 
+    defaultColumns() {
+        return [
+            { label: 'ID', fieldName: 'workItemId', type: 'number', sortable: true, initialWidth: 80 },
+            { label: 'Title', fieldName: 'title', type: 'text', sortable: true, wrapText: true, initialWidth: 300 },
+            { label: 'Type', fieldName: 'workItemType', type: 'text', sortable: true, initialWidth: 120 },
+            { label: 'State', fieldName: 'state', type: 'state', typeAttributes: { badgeClass: { fieldName: 'stateBadgeClass' } }, sortable: true, initialWidth: 120 },
+            { label: 'Assigned To', fieldName: 'assignedTo', type: 'text', sortable: true, initialWidth: 150 },
+            { label: 'Created Date', fieldName: 'createdDate', type: 'date', sortable: true, initialWidth: 130 },
+            { label: 'Priority', fieldName: 'priority', type: 'text', sortable: true, initialWidth: 100 },
+            { label: 'Tags', fieldName: 'tags', type: 'tags', wrapText: true, initialWidth: 200 },
+            ...OPTIONAL_COLUMNS.filter(c => this.optionalColumns.includes(c.fieldName))
+        ];
+    }
+    // lightning-tree-grid has no custom types, so the tree shows tags and states as text
+    get treeColumns() {
+        return this.columns.map(c => {
+            if (c.type === 'tags') return { ...c, fieldName: 'tagsText', type: 'text' };
+            if (c.type === 'state') return { ...c, type: 'text', typeAttributes: undefined };
+            return c;
+        });
+    }
+    get optionalColumnItems() {
+        return OPTIONAL_COLUMNS.map(c => ({ ...c, checked: this.optionalColumns.includes(c.fieldName) }));
+    }
+    get columnMenuDisabled() {
+        return !!this.queryColumns;
+    }
+    handleColumnMenuSelect(e) {
+        const name = e.detail.value;
+        this.optionalColumns = this.optionalColumns.includes(name)
+            ? this.optionalColumns.filter(n => n !== name)
+            : [...this.optionalColumns, name];
+        this.columns = this.buildColumns(this.queryColumns);
+    }
+
+    // Column set of a saved query or raw WIQL; id and title keep their typed columns
+    buildQueryColumns(queryColumns) {
+        return queryColumns.map(col => {
+            if (col.referenceName === 'System.Id') {
+                return { label: col.name, fieldName: 'workItemId', type: 'number', sortable: true, initialWidth: 80 };
+            }
+            if (col.referenceName === 'System.Title') {
+                return {
+                    label: col.name,
+                    fieldName: 'title',
+                    type: 'text',
+                    sortable: true,
+                    wrapText: true,
+                    initialWidth: 300
+                };
+            }
+            return { label: col.name, fieldName: columnKey(col.referenceName), type: 'text', sortable: true };
+        });
+    }
+
     connectedCallback() {
+        this.isTreeMode = !!this.showHierarchy;
         this.loadInitialData();
         this.checkPermission();
+        this.subscribeToWorkItemEvents();
+    }
+    disconnectedCallback() {
+        clearTimeout(this._eventT);
+        if (this._subscription) {
+            unsubscribe(this._subscription, () => {});
+            this._subscription = null;
+        }
+    }
+
+    async subscribeToWorkItemEvents() {
+        try {
+            this._subscription = await subscribe(WORK_ITEM_EVENT_CHANNEL, -1, message =>
+                this.handleWorkItemEvent(message)
+            );
+        } catch (e) {
+            // Live refresh is optional (e.g. streaming unavailable) - the grid still refreshes manually
+            this._subscription = null;
+        }
+    }
+    handleWorkItemEvent(message) {
+        const evt = message && message.data && message.data.payload;
+        if (!evt || evt.Configuration__c !== this.selectedConfig) return;
+        if (this.isRecordContext && !(evt.Record_Ids__c || '').split(',').includes(this.recordId)) return;
+        // A bulk edit in Azure DevOps sends one notification per work item; reload once they settle
+        clearTimeout(this._eventT);
+        this._eventT = setTimeout(() => this.loadWorkItems(), 1000);
     }
 
     async checkPermission() {
@@ -85,7 +254,12 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         } catch (e) {
             this.hasEdit = false;
         }
-        this.columns = this.buildColumns();
+        try {
+            this.canDestroy = !!(await hasDestroyPermission());
+        } catch (e) {
+            this.canDestroy = false;
+        }
+        this.columns = this.buildColumns(this.queryColumns);
     }
 
     get configOptions() {
@@ -100,38 +274,144 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         return this._cachedConfigOptions;
     }
     get typeFilterOptions() {
-        const hash = JSON.stringify(this.workItems.map(i => i.workItemType || ''));
-        if (this._cachedTypeFilterHash !== hash) {
-            this._cachedTypeFilterOptions = [
-                { label: 'All Types', value: '' },
-                ...Array.from(new Set(this.workItems.map(i => i.workItemType))).map(t => ({ label: t, value: t }))
-            ];
-            this._cachedTypeFilterHash = hash;
-        }
-        return this._cachedTypeFilterOptions;
+        return [{ label: 'All Types', value: '' }, ...this.typeOptions];
     }
     get stateFilterOptions() {
-        const hash = JSON.stringify(this.workItems.map(i => i.state || ''));
-        if (this._cachedStateFilterHash !== hash) {
-            this._cachedStateFilterOptions = [
-                { label: 'All States', value: '' },
-                ...Array.from(new Set(this.workItems.map(i => i.state))).map(s => ({ label: s, value: s }))
-            ];
-            this._cachedStateFilterHash = hash;
+        return [{ label: 'All States', value: '' }, ...this.stateOptions];
+    }
+    get areaFilterOptions() {
+        return [{ label: 'All Areas', value: '' }, ...this.areaOptions];
+    }
+    get iterationFilterOptions() {
+        return [{ label: 'All Iterations', value: '' }, ...this.iterationOptions];
+    }
+    get isRecordContext() {
+        return !!this.recordId;
+    }
+    get createLabel() {
+        return this.isRecordContext ? 'Create & Link' : 'Create Work Item';
+    }
+    get sourceOptions() {
+        const options = [
+            { label: 'Filters', value: 'filters' },
+            { label: 'Saved Query', value: 'savedQuery' }
+        ];
+        if (this.hasEdit) {
+            options.push({ label: 'WIQL', value: 'wiql' });
         }
-        return this._cachedStateFilterOptions;
+        return options;
+    }
+    get isSavedQueryMode() {
+        return this.querySource === 'savedQuery';
+    }
+    get isWiqlMode() {
+        return this.querySource === 'wiql';
+    }
+    // Saved queries and raw WIQL carry their own criteria, so the structured filters do not apply
+    get filtersDisabled() {
+        return this.querySource !== 'filters';
+    }
+    get viewOptions() {
+        return [
+            { label: 'None', value: '' },
+            ...this.savedViews.map(v => ({ label: v.isShared ? `${v.name} (Shared)` : v.name, value: v.id }))
+        ];
+    }
+    get selectedView() {
+        return this.savedViews.find(v => v.id === this.selectedViewId);
+    }
+    get deleteViewDisabled() {
+        const view = this.selectedView;
+        return !view || !view.isOwner;
     }
     get showEmptyState() {
         return !this.isLoading && this.filteredWorkItems.length === 0;
     }
+    get workItemCountLabel() {
+        return this.hasMore ? `${this.filteredWorkItems.length}+` : `${this.filteredWorkItems.length}`;
+    }
+    get isFlatMode() {
+        return !this.isTreeMode;
+    }
+    get hideCheckboxColumn() {
+        return !this.hasEdit;
+    }
+    get selectedCount() {
+        return this.selectedRowIds.length;
+    }
+    get showBulkBar() {
+        return this.hasEdit && this.isFlatMode && this.selectedRowIds.length > 0;
+    }
+    get bulkSummary() {
+        const failed = (this.bulkResults || []).filter(r => !r.success).length;
+        const succeeded = (this.bulkResults || []).length - failed;
+        return failed ? `${succeeded} succeeded, ${failed} failed` : `${succeeded} succeeded`;
+    }
+    get treeRows() {
+        return this.filteredWorkItems.map(row => this.toTreeRow(row, row.id));
+    }
+    get showTreeLoadMore() {
+        return this.isTreeMode && this.hasMore;
+    }
+    toTreeRow(row, key) {
+        const node = { ...row, id: key };
+        const children = this.childrenByKey[key];
+        if (children) {
+            if (children.length) node._children = children.map(c => this.toTreeRow(c, `${key}/${c.workItemId}`));
+        } else if (!LEAF_TYPES.has(row.workItemType)) {
+            // An empty array shows the expander; children are fetched on first expand
+            node._children = [];
+        }
+        return node;
+    }
+    handleTreeModeToggle() {
+        this.isTreeMode = !this.isTreeMode;
+    }
+    async handleTreeToggle(e) {
+        const { name, isExpanded, hasChildrenContent } = e.detail;
+        this.expandedTreeRows = isExpanded
+            ? [...new Set([...this.expandedTreeRows, name])]
+            : this.expandedTreeRows.filter(k => k !== name);
+        if (!isExpanded || hasChildrenContent || this.childrenByKey[name]) return;
+        const parentId = parseInt(name.split('/').pop(), 10);
+        try {
+            const res = await getWorkItems({
+                configName: this.selectedConfig,
+                workItemType: null,
+                state: null,
+                maxResults: MAX_CHILDREN,
+                pageToken: null,
+                filter: { parentId }
+            });
+            if (res && res.success) {
+                this.childrenByKey = { ...this.childrenByKey, [name]: this.toRows(res.workItems) };
+            } else this.handleError('Failed to load child work items', res && res.message);
+        } catch (err) {
+            this.handleError('Failed to load child work items', err);
+        }
+    }
+    get tableStyle() {
+        return `height: ${this.height || '400px'};`;
+    }
 
     async loadInitialData() {
         this.isLoading = true;
         try {
             this.configurations = (await getAvailableConfigurations()) || [];
+            await this.loadSavedViews();
             if (this.configurations.length) {
-                this.selectedConfig = this.configurations[0].value;
+                const preferred = this.configurations.find(c => c.value === this.defaultConfiguration);
+                this.selectedConfig = (preferred || this.configurations[0]).value;
+                const name = (this.defaultView || '').trim().toLowerCase();
+                const view = name && this.savedViews.find(v => v.name.toLowerCase() === name);
+                if (view) {
+                    await this.applyView(view);
+                } else {
+                    await Promise.all([this.loadTypeOptions(), this.loadClassificationOptions()]);
+                }
                 await this.loadWorkItems();
+            } else {
+                await this.loadTypeOptions();
             }
         } catch (e) {
             this.handleError('Failed to load', e);
@@ -140,43 +420,323 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         }
     }
 
+    async loadTypeOptions() {
+        try {
+            const types = (await getWorkItemTypes({ configName: this.selectedConfig || null })) || [];
+            this.typeOptions = types.map(t => ({ label: t.label, value: t.value }));
+        } catch (e) {
+            this.typeOptions = [];
+        }
+        // Connections with live metadata have their own process types
+        if (this.selectedTypeFilter && !this.typeOptions.some(o => o.value === this.selectedTypeFilter)) {
+            this.selectedTypeFilter = '';
+        }
+        await this.loadStateOptions();
+    }
+
+    async loadStateOptions() {
+        const types = this.selectedTypeFilter ? [this.selectedTypeFilter] : this.typeOptions.map(t => t.value);
+        try {
+            const results = await Promise.all(types.map(t => getAvailableStatesForType({ workItemType: t, configName: this.selectedConfig || null })));
+            const seen = new Set();
+            this.stateOptions = results
+                .flat()
+                .filter(st => st && !seen.has(st.value) && seen.add(st.value))
+                .map(st => ({ label: st.label, value: st.value }));
+        } catch (e) {
+            this.stateOptions = [];
+        }
+        if (this.selectedStateFilter && !this.stateOptions.some(o => o.value === this.selectedStateFilter)) {
+            this.selectedStateFilter = '';
+        }
+    }
+
+    async loadClassificationOptions() {
+        if (!this.selectedConfig) return;
+        try {
+            const [areas, iterations] = await Promise.all([
+                getAreaPaths({ configName: this.selectedConfig }),
+                getIterationPaths({ configName: this.selectedConfig })
+            ]);
+            this.areaOptions = (areas || []).map(o => ({ label: o.label, value: o.value }));
+            this.iterationOptions = (iterations || []).map(o => ({ label: o.label, value: o.value }));
+        } catch (e) {
+            this.areaOptions = [];
+            this.iterationOptions = [];
+        }
+        // Views may filter on a path the cached list does not have yet; keep it selectable
+        if (this.areaPathFilter && !this.areaOptions.some(o => o.value === this.areaPathFilter)) {
+            this.areaOptions = [{ label: this.areaPathFilter, value: this.areaPathFilter }, ...this.areaOptions];
+        }
+        if (this.iterationPathFilter && !this.iterationOptions.some(o => o.value === this.iterationPathFilter)) {
+            this.iterationOptions = [
+                { label: this.iterationPathFilter, value: this.iterationPathFilter },
+                ...this.iterationOptions
+            ];
+        }
+    }
+
+    async loadSavedViews() {
+        try {
+            this.savedViews = (await getSavedViews()) || [];
+        } catch (e) {
+            this.savedViews = [];
+        }
+        if (this.selectedViewId && !this.selectedView) {
+            this.selectedViewId = '';
+        }
+    }
+
+    async applyView(view) {
+        const filter = view.filter || {};
+        this.selectedViewId = view.id;
+        if (view.configName && this.configurations.some(c => c.value === view.configName)) {
+            this.selectedConfig = view.configName;
+        }
+        this.selectedTypeFilter = filter.workItemType || '';
+        this.selectedStateFilter = filter.state || '';
+        this.searchTerm = filter.searchText || '';
+        this.assignedToFilter = filter.assignedTo || '';
+        this.assignedToMe = !!filter.assignedToMe;
+        this.tagFilter = filter.tags || [];
+        this.areaPathFilter = filter.areaPath || '';
+        this.iterationPathFilter = filter.iterationPath || '';
+        this.changedFrom = filter.dateFrom || null;
+        this.changedTo = filter.dateTo || null;
+        this.sortedBy = view.sortedBy || 'title';
+        this.sortedDirection = view.sortedDirection || 'asc';
+        this.selectedSavedQuery = filter.savedQuery || '';
+        this.wiqlText = filter.wiql || '';
+        // Record pages always show the record's linked items, so query-based views fall back to filters there
+        this.querySource =
+            this.isRecordContext || (!filter.wiql && !filter.savedQuery) ? 'filters' : filter.wiql ? 'wiql' : 'savedQuery';
+        await Promise.all([
+            this.loadTypeOptions(),
+            this.loadClassificationOptions(),
+            this.isSavedQueryMode ? this.loadSavedQueries() : null
+        ]);
+    }
+
+    async loadSavedQueries() {
+        if (!this.selectedConfig) return;
+        try {
+            const queries = (await getSavedQueries({ configName: this.selectedConfig })) || [];
+            this.savedQueryOptions = queries.map(q => ({ label: q.label, value: q.value }));
+        } catch (e) {
+            this.savedQueryOptions = [];
+            this.handleError('Failed to load saved queries', e && e.body ? e.body : e);
+        }
+        // Views may store the query by path; keep it selectable even when it is outside the listed depth
+        if (this.selectedSavedQuery && !this.savedQueryOptions.some(o => o.value === this.selectedSavedQuery)) {
+            this.savedQueryOptions = [
+                { label: this.selectedSavedQuery, value: this.selectedSavedQuery },
+                ...this.savedQueryOptions
+            ];
+        }
+    }
+
+    async handleViewChange(e) {
+        this.selectedViewId = e.detail.value;
+        const view = this.selectedView;
+        if (view) {
+            await this.applyView(view);
+            this.loadWorkItems();
+        }
+    }
+
+    async handleSaveView() {
+        const current = this.selectedView;
+        const ownView = current && current.isOwner ? current : null;
+        const modalResult = await UniversalModal.open({
+            size: 'small',
+            modalType: 'form',
+            title: 'Save View',
+            confirmLabel: 'Save',
+            cancelLabel: 'Cancel',
+            variant: 'brand',
+            formConfig: UniversalModalHelper.createFormConfig([
+                UniversalModalHelper.createField('name', 'text', {
+                    label: 'View Name',
+                    required: true,
+                    defaultValue: ownView ? ownView.name : '',
+                    placeholder: 'e.g. My active bugs'
+                }),
+                UniversalModalHelper.createField('visibility', 'combobox', {
+                    label: 'Visible To',
+                    required: true,
+                    defaultValue: ownView && ownView.isShared ? 'shared' : 'private',
+                    options: [
+                        { label: 'Only me', value: 'private' },
+                        { label: 'Everyone', value: 'shared' }
+                    ]
+                })
+            ])
+        });
+        if (!modalResult || !modalResult.confirmed) {
+            return;
+        }
+
+        const name = (modalResult.formData.name || '').trim();
+        // Saving under the same name overwrites the selected view; a new name creates a new one
+        const overwrite = ownView && ownView.name === name;
+        try {
+            const saved = await saveView({
+                view: {
+                    id: overwrite ? ownView.id : null,
+                    name,
+                    configName: this.selectedConfig,
+                    filter: this.buildFilter(),
+                    sortedBy: this.sortedBy,
+                    sortedDirection: this.sortedDirection,
+                    isShared: modalResult.formData.visibility === 'shared'
+                }
+            });
+            await this.loadSavedViews();
+            this.selectedViewId = saved.id;
+            showSuccessToast(this, 'View Saved', `"${saved.name}" saved`);
+        } catch (e) {
+            this.handleError('Failed to save view', e && e.body ? e.body : e);
+        }
+    }
+
+    async handleDeleteView() {
+        const view = this.selectedView;
+        if (!view || !view.isOwner) return;
+
+        const modalResult = await UniversalModal.open({
+            size: 'small',
+            modalType: 'confirm',
+            title: 'Delete View',
+            message: `Delete the saved view "${view.name}"?`,
+            confirmLabel: 'Delete',
+            cancelLabel: 'Cancel',
+            variant: 'destructive'
+        });
+        if (!modalResult || !modalResult.confirmed) {
+            return;
+        }
+
+        try {
+            await deleteSavedView({ viewId: view.id });
+            this.selectedViewId = '';
+            await this.loadSavedViews();
+            showSuccessToast(this, 'View Deleted', `"${view.name}" deleted`);
+        } catch (e) {
+            this.handleError('Failed to delete view', e && e.body ? e.body : e);
+        }
+    }
+
     get createDisabled() {
         return !this.hasEdit;
     }
     async loadWorkItems() {
         if (!this.selectedConfig) return;
+        if (this.isSavedQueryMode && !this.selectedSavedQuery) return;
+        if (this.isWiqlMode && !this.wiqlText?.trim()) return;
+        const requestId = ++this.loadRequestId;
         this.isLoading = true;
+        this.nextPageToken = null;
+        this.hasMore = false;
         try {
-            const res = await getWorkItems({
-                configName: this.selectedConfig,
-                workItemType: this.selectedTypeFilter || null,
-                state: this.selectedStateFilter || null,
-                maxResults: this.maxRows || 50
-            });
+            const res = await this.fetchPage(null);
+            if (requestId !== this.loadRequestId) return;
             if (res && res.success) {
-                this.workItems = (res.workItems || []).map(w => ({ ...w, id: `${w.workItemId}` }));
-                this.applyFilters();
+                this.setPaging(res);
+                this.queryColumns = res.columns && res.columns.length ? res.columns : null;
+                this.columns = this.buildColumns(this.queryColumns);
+                this.workItems = this.toRows(res.workItems);
+                this.selectedRowIds = [];
+                this.childrenByKey = {};
+                this.expandedTreeRows = [];
+                this.applySort();
                 this.calculateStats();
             } else this.handleError('Failed to load work items', res && res.message);
         } catch (e) {
-            this.handleError('Failed to load work items', e);
+            if (requestId === this.loadRequestId) this.handleError('Failed to load work items', e);
         } finally {
-            this.isLoading = false;
+            if (requestId === this.loadRequestId) this.isLoading = false;
         }
     }
 
-    applyFilters() {
-        let f = [...this.workItems];
-        const s = this.searchTerm?.toLowerCase();
-        if (s)
-            f = f.filter(
-                i =>
-                    (i.title || '').toLowerCase().includes(s) ||
-                    String(i.workItemId).includes(s) ||
-                    (i.assignedTo || '').toLowerCase().includes(s)
-            );
-        if (this.selectedTypeFilter) f = f.filter(i => i.workItemType === this.selectedTypeFilter);
-        if (this.selectedStateFilter) f = f.filter(i => i.state === this.selectedStateFilter);
+    async handleLoadMore() {
+        if (!this.hasMore || this.isLoadingMore || this.isLoading) return;
+        const requestId = this.loadRequestId;
+        this.isLoadingMore = true;
+        try {
+            const res = await this.fetchPage(this.nextPageToken);
+            // A reload started meanwhile replaced the list this page belonged to
+            if (requestId !== this.loadRequestId) return;
+            if (res && res.success) {
+                this.setPaging(res);
+                const known = new Set(this.workItems.map(w => w.id));
+                this.workItems = [...this.workItems, ...this.toRows(res.workItems).filter(w => !known.has(w.id))];
+                this.applySort();
+                this.calculateStats();
+            } else {
+                this.hasMore = false;
+                this.handleError('Failed to load more work items', res && res.message);
+            }
+        } catch (e) {
+            if (requestId !== this.loadRequestId) return;
+            this.hasMore = false;
+            this.handleError('Failed to load more work items', e);
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    fetchPage(pageToken) {
+        return getWorkItems({
+            configName: this.selectedConfig,
+            workItemType: null,
+            state: null,
+            maxResults: this.maxRows || 50,
+            pageToken,
+            filter: this.buildFilter()
+        });
+    }
+    setPaging(res) {
+        this.nextPageToken = res.nextPageToken || null;
+        this.hasMore = !!res.hasMore && !!res.nextPageToken;
+    }
+
+    buildFilter() {
+        return {
+            workItemType: this.selectedTypeFilter || null,
+            state: this.selectedStateFilter || null,
+            assignedTo: this.assignedToFilter?.trim() || null,
+            assignedToMe: this.assignedToMe,
+            tags: this.tagFilter.length ? this.tagFilter : null,
+            areaPath: this.areaPathFilter || null,
+            iterationPath: this.iterationPathFilter || null,
+            searchText: this.searchTerm?.trim() || null,
+            dateField: 'System.ChangedDate',
+            dateFrom: this.changedFrom || null,
+            dateTo: this.changedTo || null,
+            savedQuery: this.isSavedQueryMode ? this.selectedSavedQuery || null : null,
+            wiql: this.isWiqlMode ? this.wiqlText?.trim() || null : null,
+            recordId: this.recordId || null
+        };
+    }
+
+    toRows(items) {
+        return (items || []).map(w => {
+            const row = {
+                ...w,
+                id: `${w.workItemId}`,
+                tagsText: (w.tags || []).join('; '),
+                stateBadgeClass: stateBadgeClass(w.stateCategory)
+            };
+            Object.keys(w.fields || {}).forEach(ref => {
+                row[columnKey(ref)] = w.fields[ref];
+            });
+            delete row.fields;
+            return row;
+        });
+    }
+
+    applySort() {
+        const f = [...this.workItems];
         this.sortData(f);
         this.filteredWorkItems = f;
     }
@@ -186,27 +746,26 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         d.sort((a, b) => {
             let va = a[k],
                 vb = b[k];
-            if (typeof va === 'string') {
-                va = va.toLowerCase();
-                vb = vb.toLowerCase();
+            if (typeof va === 'string' || typeof vb === 'string') {
+                va = va == null ? '' : String(va).toLowerCase();
+                vb = vb == null ? '' : String(vb).toLowerCase();
             }
             return va < vb ? -1 * rev : va > vb ? 1 * rev : 0;
         });
     }
     calculateStats() {
         this.workItemStats.total = this.workItems.length;
-        this.workItemStats.inProgress = this.workItems.filter(i =>
-            ['Active', 'Doing', 'In Progress'].includes(i.state)
-        ).length;
-        this.workItemStats.completed = this.workItems.filter(i =>
-            ['Closed', 'Done', 'Resolved'].includes(i.state)
-        ).length;
+        // Counted by state category so custom process states such as "Ready for QA" or "Verified" are included
+        this.workItemStats.inProgress = this.workItems.filter(i => i.stateCategory === 'InProgress').length;
+        this.workItemStats.completed = this.workItems.filter(i => isCompletedCategory(i.stateCategory)).length;
     }
 
     async handleCreateWorkItem() {
         const result = await AzureDevOpsWorkItemCreator.open({
             size: 'large',
-            modalTitle: 'Create New Work Item'
+            modalTitle: this.isRecordContext ? 'Create & Link Work Item' : 'Create New Work Item',
+            recordId: this.recordId,
+            configName: this.selectedConfig
         });
 
         if (result && result.success) {
@@ -214,25 +773,139 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
             this.loadWorkItems();
         }
     }
+    async handleLinkExisting() {
+        const modalResult = await UniversalModal.open({
+            size: 'small',
+            modalType: 'form',
+            title: 'Link Existing Work Item',
+            confirmLabel: 'Link',
+            cancelLabel: 'Cancel',
+            variant: 'brand',
+            formConfig: UniversalModalHelper.createFormConfig([
+                UniversalModalHelper.createField('workItemId', 'text', {
+                    label: 'Work Item ID',
+                    required: true,
+                    placeholder: 'e.g. 1234',
+                    helpText: `Work item in ${this.selectedConfig}`
+                })
+            ])
+        });
+        if (!modalResult || !modalResult.confirmed) {
+            return;
+        }
+
+        const workItemId = parseInt((modalResult.formData.workItemId || '').trim(), 10);
+        if (!Number.isInteger(workItemId) || workItemId <= 0) {
+            showErrorToast(this, 'Invalid ID', 'Enter a numeric work item ID');
+            return;
+        }
+        try {
+            const res = await linkWorkItem({ recordId: this.recordId, configName: this.selectedConfig, workItemId });
+            if (res && res.success) {
+                showSuccessToast(this, 'Linked', `#${res.workItemId} ${res.title || ''}`.trim());
+                this.loadWorkItems();
+            } else {
+                showErrorToast(this, 'Link Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (e) {
+            this.handleError('Link failed', e);
+        }
+    }
+
+    async handleUnlinkAction(row) {
+        try {
+            const res = await unlinkWorkItem({
+                recordId: this.recordId,
+                configName: this.selectedConfig,
+                workItemId: row.workItemId
+            });
+            if (res && res.success) {
+                showSuccessToast(this, 'Unlinked', res.message || 'Work item unlinked');
+                this.loadWorkItems();
+            } else {
+                showErrorToast(this, 'Unlink Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (e) {
+            this.handleError('Unlink failed', e);
+        }
+    }
     handleRefresh() {
         this.loadWorkItems();
     }
-    handleConfigFilterChange(e) {
+    async handleConfigFilterChange(e) {
         this.selectedConfig = e.detail.value;
+        // Area and iteration paths are per project
+        this.areaPathFilter = '';
+        this.iterationPathFilter = '';
+        await Promise.all([this.loadTypeOptions(), this.loadClassificationOptions()]);
+        if (this.isSavedQueryMode) {
+            this.selectedSavedQuery = '';
+            await this.loadSavedQueries();
+            return;
+        }
         this.loadWorkItems();
     }
-    handleTypeFilterChange(e) {
+    async handleSourceChange(e) {
+        this.querySource = e.detail.value;
+        if (this.isSavedQueryMode) {
+            if (!this.savedQueryOptions.length) {
+                await this.loadSavedQueries();
+            }
+            if (this.selectedSavedQuery) this.loadWorkItems();
+        } else if (!this.isWiqlMode) {
+            this.loadWorkItems();
+        }
+    }
+    handleSavedQueryChange(e) {
+        this.selectedSavedQuery = e.detail.value;
+        this.loadWorkItems();
+    }
+    handleWiqlChange(e) {
+        this.wiqlText = e.target.value;
+    }
+    handleRunWiql() {
+        if (!this.wiqlText || !this.wiqlText.trim()) {
+            showInfoToast(this, 'WIQL', 'Enter a WIQL query to run');
+            return;
+        }
+        this.loadWorkItems();
+    }
+    async handleTypeFilterChange(e) {
         this.selectedTypeFilter = e.detail.value;
-        this.applyFilters();
+        await this.loadStateOptions();
+        this.loadWorkItems();
     }
     handleStateFilterChange(e) {
         this.selectedStateFilter = e.detail.value;
-        this.applyFilters();
+        this.loadWorkItems();
     }
     handleSearchChange(e) {
         this.searchTerm = e.target.value;
+        this.scheduleReload();
+    }
+    handleClassificationFilterChange(e) {
+        this[e.target.name] = e.detail.value;
+        this.loadWorkItems();
+    }
+    handleAssignedToMeChange(e) {
+        this.assignedToMe = e.target.checked;
+        this.loadWorkItems();
+    }
+    handleTagFilterChange(e) {
+        this.tagFilter = e.detail.tags;
+        this.loadWorkItems();
+    }
+    handleAssignedToChange(e) {
+        this.assignedToFilter = e.target.value;
+        this.scheduleReload();
+    }
+    handleDateRangeChange(e) {
+        this[e.target.name] = e.target.value || null;
+        this.loadWorkItems();
+    }
+    scheduleReload() {
         clearTimeout(this._searchT);
-        this._searchT = setTimeout(() => this.applyFilters(), 250);
+        this._searchT = setTimeout(() => this.loadWorkItems(), 400);
     }
 
     handleRowAction(e) {
@@ -251,6 +924,10 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
             this.handleEditAction(r);
         } else if (a === 'delete') {
             this.handleDeleteAction(r);
+        } else if (a === 'unlink') {
+            this.handleUnlinkAction(r);
+        } else if (a === 'history') {
+            this.handleHistoryAction(r);
         } else showInfoToast(this, 'Action', 'Unknown action: ' + a);
     }
 
@@ -258,16 +935,25 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         const result = await AzureDevOpsWorkItemEditor.open({
             size: 'medium',
             workItemId: row.workItemId || row.id,
+            recordId: this.recordId,
             configName: this.selectedConfig,
             currentTitle: row.title || '',
             currentDescription: row.description || '',
             currentState: row.state || '',
             currentPriority: row.priority || '2',
+            currentAreaPath: row.areaPath || '',
+            currentIterationPath: row.iterationPath || '',
             workItemType: row.workItemType || '',
             initialTitle: row.title || '',
             initialDescription: row.description || '',
             initialState: row.state || '',
-            initialPriority: row.priority || '2'
+            initialPriority: row.priority || '2',
+            initialAreaPath: row.areaPath || '',
+            initialIterationPath: row.iterationPath || '',
+            initialAssignedTo: row.assignedToUniqueName || '',
+            assignedToName: row.assignedTo || '',
+            initialTags: row.tags || [],
+            initialRev: row.rev
         });
 
         if (result && result.success) {
@@ -276,31 +962,101 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         }
     }
 
+    // One row per changed field, newest revision first
+    async handleHistoryAction(row) {
+        const id = row.workItemId || row.id;
+        try {
+            const updates = (await getWorkItemHistory({ configName: this.selectedConfig, workItemId: id })) || [];
+            const data = [];
+            updates.forEach(u => {
+                (u.changes || []).forEach(c => {
+                    data.push({
+                        key: `${u.id}-${c.referenceName}`,
+                        rev: u.rev,
+                        revisedBy: u.revisedBy,
+                        revisedDate: u.revisedDate,
+                        field: c.name,
+                        oldValue: c.oldValue,
+                        newValue: c.newValue
+                    });
+                });
+            });
+            await UniversalModal.open({
+                size: 'large',
+                modalType: 'list',
+                title: `History of #${id}`,
+                data,
+                columns: [
+                    { label: 'Rev', fieldName: 'rev', type: 'number', initialWidth: 70 },
+                    {
+                        label: 'Changed',
+                        fieldName: 'revisedDate',
+                        type: 'date',
+                        initialWidth: 170,
+                        typeAttributes: {
+                            year: 'numeric',
+                            month: 'short',
+                            day: '2-digit',
+                            hour: '2-digit',
+                            minute: '2-digit'
+                        }
+                    },
+                    { label: 'Changed By', fieldName: 'revisedBy', type: 'text', initialWidth: 150 },
+                    { label: 'Field', fieldName: 'field', type: 'text', initialWidth: 140 },
+                    { label: 'Old Value', fieldName: 'oldValue', type: 'text', wrapText: true },
+                    { label: 'New Value', fieldName: 'newValue', type: 'text', wrapText: true }
+                ],
+                keyField: 'key',
+                maxHeight: '500px'
+            });
+        } catch (e) {
+            this.handleError('Failed to load history', e);
+        }
+    }
+
     async handleDeleteAction(row) {
         const id = row.workItemId || row.id;
         const conf = this.selectedConfig;
-        
+        const fields = [
+            UniversalModalHelper.createField('reason', 'textarea', {
+                label: 'Reason',
+                placeholder: 'Posted as a comment on the work item before it is deleted'
+            })
+        ];
+        if (this.canDestroy) {
+            fields.push(
+                UniversalModalHelper.createField('mode', 'combobox', {
+                    label: 'Delete Mode',
+                    required: true,
+                    defaultValue: 'recycle',
+                    options: [
+                        { label: 'Move to the recycle bin', value: 'recycle' },
+                        { label: 'Destroy permanently', value: 'destroy' }
+                    ]
+                })
+            );
+        }
+
         const modalResult = await UniversalModal.open({
             size: 'small',
-            modalType: 'confirm',
-            title: 'Confirm Deletion',
-            message: 'Are you sure you want to delete the record?',
+            modalType: 'form',
+            title: `Delete #${id}`,
             confirmLabel: 'Delete',
             cancelLabel: 'Cancel',
             variant: 'destructive',
-            requireReason: false
+            formConfig: UniversalModalHelper.createFormConfig(fields)
         });
 
         if (!modalResult || !modalResult.confirmed) {
             return;
         }
 
+        const reason = (modalResult.formData.reason || '').trim() || null;
         try {
-            const res = await deleteWorkItemWithReason({ 
-                configName: conf, 
-                workItemId: id, 
-                reason: modalResult.reason || null 
-            });
+            const res =
+                modalResult.formData.mode === 'destroy'
+                    ? await destroyWorkItem({ configName: conf, workItemId: id, reason, inRecycleBin: false })
+                    : await deleteWorkItemWithReason({ configName: conf, workItemId: id, reason });
             if (res && res.success) {
                 showSuccessToast(this, 'Deleted', res.message || 'Work item deleted');
                 this.loadWorkItems();
@@ -312,10 +1068,187 @@ export default class AzureDevOpsWorkItemManager extends LightningElement {
         }
     }
 
+    // Lists the project's recycle bin; a row action closes the list and restores or destroys that item
+    async handleRecycleBin() {
+        let deleted;
+        try {
+            deleted = (await getDeletedWorkItems({ configName: this.selectedConfig })) || [];
+        } catch (e) {
+            this.handleError('Failed to load deleted work items', e);
+            return;
+        }
+        const actions = [{ label: 'Restore', name: 'restore' }];
+        if (this.canDestroy) {
+            actions.push({ label: 'Destroy Permanently', name: 'destroy' });
+        }
+        const modalResult = await UniversalModal.open({
+            size: 'large',
+            modalType: 'list',
+            title: 'Recently Deleted',
+            data: deleted,
+            keyField: 'workItemId',
+            columns: [
+                { label: 'ID', fieldName: 'workItemId', type: 'number', initialWidth: 80 },
+                { label: 'Title', fieldName: 'title', type: 'text', wrapText: true },
+                { label: 'Type', fieldName: 'workItemType', type: 'text', initialWidth: 120 },
+                { label: 'Deleted By', fieldName: 'deletedBy', type: 'text', initialWidth: 200 },
+                {
+                    label: 'Deleted',
+                    fieldName: 'deletedDate',
+                    type: 'date',
+                    initialWidth: 170,
+                    typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+                },
+                { type: 'action', typeAttributes: { rowActions: actions } }
+            ],
+            maxHeight: '500px'
+        });
+        if (!modalResult || modalResult.action !== 'rowAction') {
+            return;
+        }
+        const row = modalResult.rowData;
+        if (modalResult.rowAction.name === 'destroy') {
+            const confirm = await UniversalModal.open({
+                size: 'small',
+                modalType: 'confirm',
+                title: 'Destroy Permanently',
+                message: `#${row.workItemId} ${row.title} will be removed from Azure DevOps for good. This cannot be undone.`,
+                confirmLabel: 'Destroy',
+                cancelLabel: 'Cancel',
+                variant: 'destructive'
+            });
+            if (!confirm || !confirm.confirmed) {
+                return;
+            }
+        }
+        try {
+            const res =
+                modalResult.rowAction.name === 'destroy'
+                    ? await destroyWorkItem({ configName: this.selectedConfig, workItemId: row.workItemId, reason: null, inRecycleBin: true })
+                    : await restoreWorkItem({ configName: this.selectedConfig, workItemId: row.workItemId });
+            if (res && res.success) {
+                showSuccessToast(this, res.message, `#${row.workItemId} ${row.title}`);
+                this.loadWorkItems();
+            } else {
+                showErrorToast(this, 'Action Failed', res && res.message ? res.message : 'Unknown error');
+            }
+        } catch (e) {
+            this.handleError('Recycle bin action failed', e);
+        }
+    }
+
+    handleRowSelection(e) {
+        this.selectedRowIds = (e.detail.selectedRows || []).map(r => r.id);
+    }
+    handleClearSelection() {
+        this.selectedRowIds = [];
+    }
+    handleCloseBulkResults() {
+        this.bulkResults = null;
+    }
+
+    // Applies one change to every selected row; per-item outcomes go to the results panel
+    async handleBulkAction(e) {
+        const action = e.detail.value;
+        const rows = this.workItems.filter(w => this.selectedRowIds.includes(w.id));
+        if (!rows.length) return;
+        if (rows.length > MAX_BULK_ITEMS) {
+            showErrorToast(this, 'Too Many Items', `Bulk actions apply to at most ${MAX_BULK_ITEMS} work items at a time`);
+            return;
+        }
+        const formField = action === 'delete' ? this.bulkDeleteField() : await this.bulkChangeField(action);
+        const actionLabel = BULK_ACTIONS.find(a => a.value === action).label;
+        const modalResult = await UniversalModal.open({
+            size: 'small',
+            modalType: 'form',
+            title: `${actionLabel} (${rows.length} work item${rows.length === 1 ? '' : 's'})`,
+            confirmLabel: action === 'delete' ? 'Delete' : 'Apply',
+            cancelLabel: 'Cancel',
+            variant: action === 'delete' ? 'destructive' : 'brand',
+            formConfig: UniversalModalHelper.createFormConfig([formField])
+        });
+        if (!modalResult || !modalResult.confirmed) {
+            return;
+        }
+
+        const value = (modalResult.formData[formField.name] || '').trim();
+        const workItemIds = rows.map(r => r.workItemId);
+        this.isBulkRunning = true;
+        try {
+            const results =
+                action === 'delete'
+                    ? await bulkDeleteWorkItems({ configName: this.selectedConfig, workItemIds, reason: value || null })
+                    : await bulkUpdateWorkItems({
+                          configName: this.selectedConfig,
+                          workItemIds,
+                          change: { [action]: action === 'priority' ? parseInt(value, 10) : value }
+                      });
+            const titles = new Map(rows.map(r => [r.workItemId, r.title]));
+            this.bulkResults = (results || []).map(r => ({
+                key: `${r.workItemId}`,
+                workItemId: r.workItemId,
+                title: titles.get(r.workItemId) || '',
+                success: r.success,
+                message: r.message,
+                iconName: r.success ? 'utility:success' : 'utility:error',
+                iconVariant: r.success ? 'success' : 'error'
+            }));
+            showInfoToast(this, actionLabel, this.bulkSummary);
+            this.loadWorkItems();
+        } catch (err) {
+            this.handleError(`${actionLabel} failed`, err && err.body ? err.body : err);
+        } finally {
+            this.isBulkRunning = false;
+        }
+    }
+    bulkDeleteField() {
+        return UniversalModalHelper.createField('reason', 'textarea', {
+            label: 'Reason',
+            placeholder: 'Kept in the Salesforce audit log; the work items move to the recycle bin'
+        });
+    }
+    async bulkChangeField(action) {
+        if (action === 'state') {
+            return UniversalModalHelper.createField('state', 'combobox', {
+                label: 'State',
+                required: true,
+                options: this.stateOptions,
+                helpText: 'Items whose type or workflow does not allow this state are reported as failed'
+            });
+        }
+        if (action === 'priority') {
+            let options;
+            try {
+                const priorities = (await getPriorities({ configName: this.selectedConfig || null })) || [];
+                options = priorities.map(p => ({ label: p.label, value: String(p.value) }));
+            } catch (e) {
+                options = [];
+            }
+            return UniversalModalHelper.createField('priority', 'combobox', {
+                label: 'Priority',
+                required: true,
+                options: options.length ? options : ['1', '2', '3', '4'].map(v => ({ label: v, value: v }))
+            });
+        }
+        if (action === 'assignedTo') {
+            return UniversalModalHelper.createField('assignedTo', 'text', {
+                label: 'Assign To',
+                required: true,
+                placeholder: 'e.g. jane@contoso.com',
+                helpText: 'Azure DevOps unique name, usually the email address'
+            });
+        }
+        return UniversalModalHelper.createField(action, 'text', {
+            label: 'Tag',
+            required: true,
+            placeholder: action === 'addTag' ? 'Tag to add' : 'Tag to remove'
+        });
+    }
+
     handleSort(e) {
         this.sortedBy = e.detail.fieldName;
         this.sortedDirection = e.detail.sortDirection;
-        this.applyFilters();
+        this.applySort();
     }
     handleError(title, err) {
         this.error = err;
@@ -7,12 +7,30 @@ import deleteWorkItemWithReason from '@salesforce/apex/AzureDevOpsController.del
  * Small client-side wrapper around Apex Azure integration endpoints.
  * All methods return the raw Apex response or throw an error.
  */
-export async function fetchWorkItems({ configName, workItemType = null, state = null, maxResults = 50 }) {
-    return await getWorkItems({ configName, workItemType, state, maxResults });
+export async function fetchWorkItems({ configName, workItemType = null, state = null, maxResults = 50, pageToken = null, filter = null }) {
+    return await getWorkItems({ configName, workItemType, state, maxResults, pageToken, filter });
 }
 
-export async function create({ configName, workItemType, title, description, state, priority }) {
-    return await createWorkItem({ configName, workItemType, title, description, state, priority });
+export async function create({
+    configName,
+    workItemType,
+    title,
+    description,
+    state,
+    priority,
+    recordId = null,
+    additionalFields = null
+}) {
+    return await createWorkItem({
+        configName,
+        workItemType,
+        title,
+        description,
+        state,
+        priority,
+        recordId,
+        additionalFields
+    });
 }
 
 export async function update({ configName, workItemId, title, description, state, priority }) {
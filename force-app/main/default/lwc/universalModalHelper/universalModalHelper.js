@@ -4,7 +4,7 @@ export default class UniversalModalHelper extends LightningElement {
     /**
      * Create field configuration for dynamic forms
      * @param {string} name - Field name
-     * @param {string} type - Field type: 'text', 'textarea', 'combobox'
+     * @param {string} type - Field type: 'text', 'textarea', 'combobox', 'richtext', 'number', 'checkbox', 'datetime'
      * @param {object} config - Field configuration
      * @returns {object} Field configuration object
      */
@@ -16,6 +16,10 @@ export default class UniversalModalHelper extends LightningElement {
             isText: type === 'text',
             isTextarea: type === 'textarea',
             isCombobox: type === 'combobox',
+            isRichText: type === 'richtext',
+            isNumber: type === 'number',
+            isCheckbox: type === 'checkbox',
+            isDateTime: type === 'datetime',
             required: config.required || false,
             placeholder: config.placeholder || '',
             defaultValue: config.defaultValue || '',
@@ -23,7 +27,8 @@ export default class UniversalModalHelper extends LightningElement {
             options: config.options || [],
             icon: config.icon || null,
             helpText: config.helpText || null,
-            rows: config.rows || 3
+            rows: config.rows || 3,
+            step: config.step || 'any'
         };
     }
 
@@ -0,0 +1,24 @@
+// Azure DevOps puts every workflow state into one of five categories (Proposed, InProgress, Resolved, Completed,
+// Removed), whatever the process names the state, so components decide on the category instead of the name.
+const TERMINAL_CATEGORIES = new Set(['Resolved', 'Completed', 'Removed']);
+const BADGE_CLASSES = {
+    Proposed: 'slds-badge_lightest',
+    InProgress: 'slds-badge_inverse',
+    Resolved: 'slds-theme_success',
+    Completed: 'slds-theme_success',
+    Removed: 'slds-theme_error'
+};
+
+// New work items cannot start in a state that ends the workflow
+export function isTerminalCategory(category) {
+    return TERMINAL_CATEGORIES.has(category);
+}
+
+// Resolved work is finished from the team's point of view; Removed work is not counted as done
+export function isCompletedCategory(category) {
+    return category === 'Resolved' || category === 'Completed';
+}
+
+export function stateBadgeClass(category) {
+    return BADGE_CLASSES[category] || '';
+}